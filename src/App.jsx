@@ -1,94 +1,290 @@
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import Grid from './components/Grid.jsx'
 import ImageViewerModal from './components/ImageViewerModal.jsx'
-import { OVERLAY_MODES } from './constants'
+import ProjectSwitcher from './components/ProjectSwitcher.jsx'
+import PaletteSidebar from './components/PaletteSidebar.jsx'
+import ImportStatus from './components/ImportStatus.jsx'
+import ExportDialog from './components/ExportDialog.jsx'
+import SliceImportDialog from './components/SliceImportDialog.jsx'
+import ScreenshotImportDialog from './components/ScreenshotImportDialog.jsx'
+import TimelineBar from './components/TimelineBar.jsx'
+import ArrangeDialog from './components/ArrangeDialog.jsx'
+import PlacementBar from './components/PlacementBar.jsx'
+import ToneMapBar from './components/ToneMapBar.jsx'
+import BrandDialog from './components/BrandDialog.jsx'
 import {
-  averageColorFromBitmap,
-  dominantColorsFromBitmap,
-} from './colorUtils'
+  OVERLAY_MODES,
+  OVERLAY_ALPHAS,
+  DEFAULT_BOARD_SETTINGS,
+  GRID_COLUMN_OPTIONS,
+  GRID_ASPECTS,
+  IMPORT_TYPES,
+  EXPORT_FORMATS,
+} from './constants'
+import { normalizeColumns, normalizeAspect, cropRect, aspectRatio, rowCount } from './utils/gridLayout'
+import { feedBounds, feedOrder, postingSequence, feedAfter } from './utils/feed'
+import { clashingPairs } from './utils/harmony'
+import { rankPlacements, SUGGESTED_SLOTS } from './utils/placement'
+import { toneMatches, paintSlot, gradientToneMap, normalizeToneMap, TONE_PRESETS } from './utils/toneMap'
+import { brandReport, normalizeBrand, BRAND_IMPORT_COLORS } from './utils/brand'
+import { FALLBACK_RGB as FALLBACK } from './utils/palette'
+import { imageLoaded, loadTileImage } from './utils/image'
+import { clearImageCache } from './utils/imageCache'
+import { DOMINANT_MAX_K } from './colorUtils'
+import { processImageFile, processImageSlices, analyzeImage } from './workers/imagePool'
 import { SAMPLE_THUMBS } from './utils/placeholder'
-import html2canvas from 'html2canvas'
-
-const DEFAULT_OPACITY = 0.5
-const LS_KEY = 'gridtone-v1-items'
-const FALLBACK = [128, 128, 128]
+import { useProjects } from './hooks/useProjects'
+import { useHistory } from './hooks/useHistory'
+import { useDominantRefresh } from './hooks/useDominantRefresh'
+import { useImportQueue } from './hooks/useImportQueue'
+import {
+  getProject,
+  loadTiles,
+  saveTiles,
+  saveProjectSettings,
+  saveProjectToneMap,
+  saveProjectBrand,
+  loadHistory,
+  saveHistory,
+  migrateLegacyStorage,
+} from './state/storage'
+import { exportProjectFile, ProjectFileError } from './state/projectFile'
+import { exportGrid, exportPostsZip } from './exportUtils'
 
 const coerceItem = (it) => ({
   id: it.id ?? crypto.randomUUID(),
-  img: it.img && it.img.src ? { src: it.img.src } : it.img, // keep src only
+  img: it.img && it.img.src ? { src: it.img.src } : it.img, // keep src only (tiles without a blob)
   avg: Array.isArray(it.avg) && it.avg.length === 3 ? it.avg : FALLBACK,
   dom: Array.isArray(it.dom) && it.dom.length
-    ? [...it.dom, FALLBACK, FALLBACK, FALLBACK].slice(0, 3)
-    : [FALLBACK, FALLBACK, FALLBACK],
+    ? it.dom.filter(c => Array.isArray(c) && c.length === 3)
+    : [FALLBACK],
+  domWeights: Array.isArray(it.domWeights) ? it.domWeights : null, // coverage share per dom color
+  domK: it.domK ?? null, // k the palette was computed for; null = re-analyse
+  crop: it.crop || null,
+  ...(it.group ? { group: it.group } : {}), // linked slice of a larger image (utils/linkedGroups)
+  ...(it.published ? { published: true } : {}), // already live on the profile
+  ...(it.blob ? { blob: it.blob } : {}), // grid thumbnail, persisted as-is
+  ...(it.master ? { master: it.master } : {}), // full-resolution image for viewer/export
 })
 
 export default function App() {
+  const {
+    projects,
+    activeProjectId,
+    switchProject,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    openProject,
+  } = useProjects()
+
   const [items, setItems] = useState([])
   const [activeId, setActiveId] = useState(null)
-
-  const [showColor, setShowColor] = useState(true)
-  const [mode, setMode] = useState('average') // 'average' | 'dominant'
-  const [overlayMode, setOverlayMode] = useState(OVERLAY_MODES.DOT) // DOT | HALF | FULL
-  const [overlayAlpha, setOverlayAlpha] = useState(DEFAULT_OPACITY)
-
-  const [exportIncludeOverlay, setExportIncludeOverlay] = useState(true)
+  // Project whose tiles/settings are currently in state (null while loading)
+  const [loadedProjectId, setLoadedProjectId] = useState(null)
+  const { history, resetHistory, commit, undo, redo, undoLabel, redoLabel } = useHistory(setItems)
+
+  // Per-board view settings
+  const [settings, setSettings] = useState(DEFAULT_BOARD_SETTINGS)
+  const {
+    showColor,
+    mode,
+    overlayMode,
+    overlayAlpha,
+    columns,
+    aspect,
+    domCount,
+    stripeMode,
+    showPalette,
+    harmonyLayer,
+  } = settings
+  const setSetting = (key) => (value) => setSettings(s => ({ ...s, [key]: value }))
+  const setShowColor = setSetting('showColor')
+  const setMode = setSetting('mode') // 'average' | 'dominant'
+  const setOverlayMode = setSetting('overlayMode') // DOT | HALF | FULL
+  const setOverlayAlpha = setSetting('overlayAlpha')
+  const setColumns = setSetting('columns') // 2–5 across
+  const setAspect = setSetting('aspect') // '1:1' | '4:5' | '3:4'
+  const setDomCount = setSetting('domCount') // dominant colors per tile, 1–8
+  const setStripeMode = setSetting('stripeMode') // 'equal' | 'proportional'
+  const proportional = stripeMode === 'proportional'
+  const setShowPalette = setSetting('showPalette')
+  const setHarmonyLayer = setSetting('harmonyLayer') // 'off' | 'heatmap' | 'edges'
 
   const [viewerOpen, setViewerOpen] = useState(false)
+  const [exportOpen, setExportOpen] = useState(false)
+  const [sliceOpen, setSliceOpen] = useState(false)
+  const [screenshotOpen, setScreenshotOpen] = useState(false)
+  const [arrangeOpen, setArrangeOpen] = useState(false)
+  const [timelineStep, setTimelineStep] = useState(null) // posting day shown, null = editing
+  const [flagClashes, setFlagClashes] = useState(true)
+  const [placing, setPlacing] = useState([]) // ids of new imports still to be placed
+  const [toneMap, setToneMap] = useState([]) // target color per slot (saved with the board)
+  const [toneMapOpen, setToneMapOpen] = useState(false)
+  const [brush, setBrush] = useState(TONE_PRESETS.Warm) // null = eraser
+  const [brand, setBrand] = useState(() => normalizeBrand(null)) // brand palette (saved with the board)
+  const [brandOpen, setBrandOpen] = useState(false)
   const [viewerIndex, setViewerIndex] = useState(0)
 
   const fileInputRef = useRef(null)
-  const exportRootRef = useRef(null)
-
-  // Load from localStorage and coerce to the new shape
+  const itemsRef = useRef(items)
+  itemsRef.current = items
+  const loadedProjectRef = useRef(loadedProjectId)
+  loadedProjectRef.current = loadedProjectId
+  // Last state read from / written to IndexedDB, so unchanged state isn't rewritten
+  const savedItemsRef = useRef(null)
+  const savedSettingsRef = useRef(null)
+  const savedToneMapRef = useRef(null)
+  const savedBrandRef = useRef(null)
+  const savedHistoryRef = useRef(null)
+
+  // Load the active board's tiles and settings whenever the board changes
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem(LS_KEY)
-      if (!raw) return
-      const parsed = JSON.parse(raw)
-      if (Array.isArray(parsed)) {
-        setItems(parsed.map(coerceItem))
+    if (!activeProjectId) return
+    let cancelled = false
+    setLoadedProjectId(null)
+    setViewerOpen(false)
+    setTimelineStep(null)
+    setPlacing([])
+    ;(async () => {
+      // Grids saved before IndexedDB persistence still live in localStorage
+      await migrateLegacyStorage(activeProjectId)
+      const [project, tiles, savedHistory] = await Promise.all([
+        getProject(activeProjectId),
+        loadTiles(activeProjectId),
+        loadHistory(activeProjectId),
+      ])
+      if (cancelled) return
+      const merged = { ...DEFAULT_BOARD_SETTINGS, ...project?.settings }
+      const nextSettings = {
+        ...merged,
+        columns: normalizeColumns(merged.columns),
+        aspect: normalizeAspect(merged.aspect),
+        domCount: Math.min(DOMINANT_MAX_K, Math.max(1, Math.round(merged.domCount) || 1)),
       }
-    } catch {}
-  }, [])
+      savedItemsRef.current = tiles
+      const nextToneMap = normalizeToneMap(project?.toneMap)
+      const nextBrand = normalizeBrand(project?.brand)
+      savedSettingsRef.current = nextSettings
+      savedToneMapRef.current = nextToneMap
+      savedBrandRef.current = nextBrand
+      savedHistoryRef.current = savedHistory
+      resetHistory(savedHistory)
+      setItems(feedOrder(tiles)) // boards from before published/pinned posts may be out of order
+      setSettings(nextSettings)
+      setToneMap(nextToneMap)
+      setBrand(nextBrand)
+      setLoadedProjectId(activeProjectId)
+      // The previous board's thumbnails are unmounted by now: free their URLs
+      nextFrame().then(clearImageCache)
+    })()
+    return () => { cancelled = true }
+  }, [activeProjectId])
+
+  // Re-analyse palettes computed for a different color count
+  useDominantRefresh(items, setItems, { k: domCount, aspect, enabled: !!loadedProjectId })
+
+  // Save tiles to the loaded board
+  useEffect(() => {
+    if (!loadedProjectId || items === savedItemsRef.current) return
+    savedItemsRef.current = items
+    saveTiles(loadedProjectId, items)
+  }, [items, loadedProjectId])
+
+  // Save view settings to the loaded board
+  useEffect(() => {
+    if (!loadedProjectId || settings === savedSettingsRef.current) return
+    savedSettingsRef.current = settings
+    saveProjectSettings(loadedProjectId, settings)
+      .catch(e => console.warn('Saving board settings failed (non-fatal):', e))
+  }, [settings, loadedProjectId])
 
-  // Save compact items to storage
+  // Save the target tone map to the loaded board
   useEffect(() => {
+    if (!loadedProjectId || toneMap === savedToneMapRef.current) return
+    savedToneMapRef.current = toneMap
+    saveProjectToneMap(loadedProjectId, toneMap)
+      .catch(e => console.warn('Saving the tone map failed (non-fatal):', e))
+  }, [toneMap, loadedProjectId])
+
+  // Save the brand palette to the loaded board
+  useEffect(() => {
+    if (!loadedProjectId || brand === savedBrandRef.current) return
+    savedBrandRef.current = brand
+    saveProjectBrand(loadedProjectId, brand)
+      .catch(e => console.warn('Saving the brand palette failed (non-fatal):', e))
+  }, [brand, loadedProjectId])
+
+  // Save undo/redo stacks so they survive a reload
+  useEffect(() => {
+    if (!loadedProjectId || history === savedHistoryRef.current) return
+    savedHistoryRef.current = history
+    saveHistory(loadedProjectId, history)
+  }, [history, loadedProjectId])
+
+  const runProjectAction = (action) => async (...args) => {
     try {
-      const skinny = items.map(coerceItem)
-      localStorage.setItem(LS_KEY, JSON.stringify(skinny))
-    } catch {}
-  }, [items])
+      await action(...args)
+    } catch (e) {
+      console.error('Project action failed', e)
+      alert(e instanceof ProjectFileError ? e.message : 'That board action failed. Try again after a fresh reload.')
+    }
+  }
+
+  const exportProject = async (projectId) => {
+    const { blob, filename } = await exportProjectFile(projectId)
+    downloadBlob(blob, filename)
+  }
 
   const onAddClick = () => fileInputRef.current?.click()
 
-  const onFilesSelected = async (files) => {
-    if (!files || !files.length) return
-    const maxSide = 1600
-    const newItems = []
-    for (const file of Array.from(files)) {
-      const src = await readFileAsDataURL(file)
-      const down = await downscale(src, maxSide)
-      const img = new Image()
-      img.src = down
-      await imageLoaded(img)
+  // Decoding, downscaling, encoding and analysis run in the worker pool, a few files at once
+  const importFile = async (file) => {
+    const { blob, master, avg, dom, domWeights } = await processImageFile(file, { k: domCount })
+    return coerceItem({ id: crypto.randomUUID(), blob, master, avg, dom, domWeights, domK: domCount })
+  }
+  const { importing, progress, report, importFiles, cancelImport, dismissReport } = useImportQueue(importFile)
 
-      const bitmap = await createImageBitmap(img)
-      let avg = FALLBACK
-      let dom = [FALLBACK, FALLBACK, FALLBACK]
-      try {
-        avg = averageColorFromBitmap(bitmap) || FALLBACK
-        const d = dominantColorsFromBitmap(bitmap, 3) || []
-        dom = [...d, FALLBACK, FALLBACK, FALLBACK].slice(0, 3)
-      } finally {
-        if (bitmap && bitmap.close) bitmap.close()
-      }
-      newItems.push(coerceItem({ id: crypto.randomUUID(), img, avg, dom }))
-    }
-    setItems(prev => [...prev, ...newItems])
+  const onFilesSelected = async (files) => {
+    const board = loadedProjectRef.current
+    const newItems = await importFiles(files)
+    if (!newItems.length) return
+    // Switched boards mid-import: don't drop these tiles into the other board
+    if (loadedProjectRef.current !== board) return
+    // New posts go top-left, after any pinned ones (the grid may have changed while decoding)
+    const start = feedBounds(itemsRef.current).pinned
+    commit({
+      type: 'insert',
+      label: newItems.length === 1 ? 'Import image' : `Import ${newItems.length} images`,
+      entries: newItems.map((tile, i) => ({ index: start + i, tile })),
+    })
+    setPlacing(newItems.map(t => t.id))
   }
 
   const onDropFiles = (fileList) => onFilesSelected(fileList)
 
+  // One large image cut into whole rows of the current layout, inserted at the top
+  // (after any pinned posts, which shift its seams just as they will on the profile)
+  // as a linked group
+  const sliceImage = async ({ file, rows, gutter, rects }) => {
+    const board = loadedProjectRef.current
+    const slices = await processImageSlices(file, rects, { k: domCount })
+    if (loadedProjectRef.current !== board) return
+    const group = { id: crypto.randomUUID(), rows, columns, gutter }
+    const tiles = slices.map(({ blob, master, avg, dom, domWeights }, index) => coerceItem({
+      id: crypto.randomUUID(), blob, master, avg, dom, domWeights, domK: domCount,
+      group: { ...group, index },
+    }))
+    const start = feedBounds(itemsRef.current).pinned
+    commit({
+      type: 'insert',
+      label: `Slice image into ${tiles.length} posts`,
+      entries: tiles.map((tile, i) => ({ index: start + i, tile })),
+    })
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
   // 3×3 sample thumbnails
   const loadSampleGrid = async () => {
     const thumbs = SAMPLE_THUMBS.slice(0, 9)
@@ -97,50 +293,216 @@ export default function App() {
       const img = new Image()
       img.src = src
       await imageLoaded(img)
-      const bitmap = await createImageBitmap(img)
-      let avg = FALLBACK
-      let dom = [FALLBACK, FALLBACK, FALLBACK]
-      try {
-        avg = averageColorFromBitmap(bitmap) || FALLBACK
-        const d = dominantColorsFromBitmap(bitmap, 3) || []
-        dom = [...d, FALLBACK, FALLBACK, FALLBACK].slice(0, 3)
-      } finally {
-        if (bitmap && bitmap.close) bitmap.close()
-      }
-      newItems.push(coerceItem({ id: crypto.randomUUID(), img, avg, dom }))
+      const colors = await analyzeTile(img, domCount)
+      newItems.push(coerceItem({ id: crypto.randomUUID(), img, ...colors }))
     }
-    setItems(newItems)
+    commit({ type: 'replace', label: 'Load sample grid', before: itemsRef.current, after: newItems })
     window.scrollTo({ top: 0, behavior: 'smooth' })
   }
 
+  const clearGrid = () => {
+    if (!items.length) return
+    commit({ type: 'replace', label: 'Clear grid', before: items, after: [] })
+  }
+
+  // Posts cut from a profile screenshot, newest first, added after the planned posts
+  const importScreenshot = async ({ file, rects }) => {
+    const board = loadedProjectRef.current
+    const posts = await processImageSlices(file, rects, { k: domCount })
+    if (loadedProjectRef.current !== board) return
+    const tiles = posts.map(({ blob, master, avg, dom, domWeights }) => coerceItem({
+      id: crypto.randomUUID(), blob, master, avg, dom, domWeights, domK: domCount, published: true,
+    }))
+    const start = itemsRef.current.length
+    commit({
+      type: 'insert',
+      label: `Import ${tiles.length} published posts`,
+      entries: tiles.map((tile, i) => ({ index: start + i, tile })),
+    })
+  }
+
+  // Publishing/pinning also moves the tile to where that puts it in the feed: a newly
+  // published post tops the live feed, a pin joins the pinned posts, and so on
+  const changeFeedState = (id, changes) => {
+    const current = itemsRef.current
+    const from = current.findIndex(t => t.id === id)
+    if (from < 0) return
+    const tile = current[from]
+    const before = Object.fromEntries(Object.keys(changes).map(k => [k, !!tile[k]]))
+    const to = feedOrder(current.map(t => (t.id === id ? { ...t, ...changes } : t))).findIndex(t => t.id === id)
+    const update = { type: 'update', id, before, after: changes }
+    const label = 'pinned' in changes
+      ? (changes.pinned ? 'Pin post' : 'Unpin post')
+      : (changes.published ? 'Mark published' : 'Mark planned')
+    commit(to === from
+      ? { ...update, label }
+      : { type: 'batch', label, commands: [update, { type: 'move', id, from, to }] })
+    if (viewerOpen) setViewerIndex(to)
+  }
+
+  const moveItem = (id, from, to) => commit({ type: 'move', label: 'Reorder', id, from, to })
+  const moveGroup = (ids, from, to) => commit({ type: 'moveGroup', label: 'Move linked group', ids, from, to })
+  const applyArrangement = (arranged) => commit({
+    type: 'reorder',
+    label: 'Auto-arrange',
+    before: items.map(t => t.id),
+    after: arranged.map(t => t.id),
+  })
+
+  const removeItem = (id) => {
+    const index = items.findIndex(t => t.id === id)
+    if (index < 0) return
+    commit({ type: 'remove', label: 'Delete image', entries: [{ index, tile: items[index] }] })
+  }
+
+  // Store a tile's crop and re-analyse its colors from the visible region (undoable)
+  const changeCrop = async (id, crop) => {
+    const item = itemsRef.current.find(t => t.id === id)
+    if (!item) return
+    let colors = { avg: item.avg, dom: item.dom, domWeights: item.domWeights, domK: item.domK }
+    try {
+      const img = await loadTileImage(item)
+      const rect = crop ? cropRect(img.naturalWidth, img.naturalHeight, aspectRatio(aspect), crop) : null
+      colors = await analyzeTile(img, domCount, rect)
+    } catch (e) {
+      console.warn('Re-analysing cropped tile failed; keeping previous colors', e)
+    }
+    commit({
+      type: 'update',
+      label: crop ? 'Crop image' : 'Reset crop',
+      id,
+      before: {
+        crop: item.crop || null,
+        avg: item.avg,
+        dom: item.dom,
+        domWeights: item.domWeights,
+        domK: item.domK,
+      },
+      after: { crop, ...colors },
+    })
+  }
+
+  const deleteViewerItem = (index) => {
+    const item = items[index]
+    if (!item) return
+    removeItem(item.id)
+    if (items.length <= 1) setViewerOpen(false)
+    else setViewerIndex(Math.min(index, items.length - 2))
+  }
+
+  // The viewer steps through the preset opacities; map the board value onto the nearest one
+  const overlayAlphaIdx = OVERLAY_ALPHAS.reduce(
+    (best, a, i) => (Math.abs(a - overlayAlpha) < Math.abs(OVERLAY_ALPHAS[best] - overlayAlpha) ? i : best),
+    0
+  )
+
   const handleTileClick = (item) => {
     const i = items.findIndex(x => x.id === item.id)
     if (i >= 0) { setViewerIndex(i); setViewerOpen(true) }
   }
 
-  const handleExportJPG = async () => {
-    const node = exportRootRef.current
-    if (!node) return
-    const prevShow = showColor
-    let restore = false
+  // Timeline: the grid after each planned post goes out, and the days where neighbours clash
+  const timelineSteps = useMemo(() => postingSequence(items).length, [items])
+  const step = timelineStep == null ? null : Math.min(timelineStep, timelineSteps)
+  const timelineOpen = step != null
+  const timelineItems = useMemo(() => (step == null ? null : feedAfter(items, step)), [items, step])
+  const clashSteps = useMemo(() => {
+    if (!timelineOpen || !flagClashes) return []
+    const out = []
+    for (let s = 0; s <= timelineSteps; s++) {
+      if (clashingPairs(feedAfter(items, s), columns, domCount).length) out.push(s)
+    }
+    return out
+  }, [items, columns, domCount, flagClashes, timelineSteps, timelineOpen])
+  const clashes = useMemo(
+    () => (timelineItems && flagClashes ? clashingPairs(timelineItems, columns, domCount) : []),
+    [timelineItems, flagClashes, columns, domCount]
+  )
+  const clashIds = useMemo(
+    () => new Set(clashes.flatMap(p => [timelineItems[p.a].id, timelineItems[p.b].id])),
+    [clashes, timelineItems]
+  )
+
+  // Placement suggestions for the next new import still at the top
+  const placeable = timelineOpen ? [] : placing
+    .map(id => items.find(t => t.id === id))
+    .filter(t => t && !t.pinned && !t.published && !t.group)
+  const placingTile = placeable[0] || null
+  const placements = useMemo(
+    () => (placingTile ? rankPlacements(items, placingTile.id, columns, domCount).slice(0, SUGGESTED_SLOTS) : []),
+    [items, placingTile, columns, domCount]
+  )
+  const suggested = useMemo(
+    () => new Map(placements.map((p, i) => [items[p.to].id, { rank: i + 1, deltaE: p.deltaE }])),
+    [placements, items]
+  )
+  const skipPlacement = () => setPlacing(ids => ids.filter(id => id !== placingTile?.id))
+  const placeTile = (cellId) => {
+    const from = items.findIndex(t => t.id === placingTile?.id)
+    const to = items.findIndex(t => t.id === cellId)
+    if (from < 0 || to < 0) return
+    if (to !== from) commit({ type: 'move', label: 'Place image', id: placingTile.id, from, to })
+    skipPlacement()
+  }
+
+  // Target tone map: each tile scored against its slot's target (grid and palette mirror)
+  const tones = useMemo(
+    () => (toneMap.length ? toneMatches(items, toneMap, domCount) : null),
+    [items, toneMap, domCount]
+  )
+  const gridTones = useMemo(
+    () => (timelineItems && toneMap.length ? toneMatches(timelineItems, toneMap, domCount) : tones),
+    [timelineItems, toneMap, domCount, tones]
+  )
+  const offTarget = tones ? tones.filter(t => t?.off).length : 0
+  const paintTone = (index) => setToneMap(m => paintSlot(m, index, brush))
+  const applyToneGradient = (from, to, direction) => {
+    const slots = Math.max(1, rowCount(items.length, columns)) * columns
+    setToneMap(gradientToneMap(slots, columns, from, to, direction))
+  }
+
+  // Brand palette: every tile's colors checked against it (grid, viewer, summary list)
+  const brandDrift = useMemo(() => brandReport(items, brand, domCount), [items, brand, domCount])
+  const offBrand = brandDrift ? items.filter(t => brandDrift.get(t.id).off).length : 0
+  const extractBrandColors = async (file) => {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
     try {
-      if (exportIncludeOverlay && !showColor) {
-        setShowColor(true)
-        restore = true
-        await nextFrame(); await nextFrame()
-      }
-      const canvas = await html2canvas(node, {
-        backgroundColor: '#0f0f10',
-        useCORS: true,
-        scale: Math.min(2, window.devicePixelRatio || 1.5),
-      })
-      const dataUrl = canvas.toDataURL('image/jpeg', 0.95)
-      downloadBlobURL(dataUrl, 'gridtone.jpg')
+      const { dom } = await analyzeImage(bitmap, null, BRAND_IMPORT_COLORS)
+      return dom
+    } finally {
+      bitmap.close?.()
+    }
+  }
+  const openTileById = (id) => {
+    setBrandOpen(false)
+    handleTileClick({ id })
+  }
+
+  // Overlay look shared by the export preview and the exported file
+  const exportOverlay = useMemo(
+    () => ({ mode, domCount, proportional, overlayMode, overlayAlpha }),
+    [mode, domCount, proportional, overlayMode, overlayAlpha]
+  )
+
+  const handleExport = async (options) => {
+    try {
+      const blob = await exportGrid(options)
+      if (!blob) return
+      // Browsers without an encoder for the chosen format hand back PNG
+      downloadBlob(blob, `gridtone.${EXPORT_FORMATS[blob.type]?.ext || 'png'}`)
     } catch (e) {
       console.error('Export failed', e)
-      alert('Export failed. Try again after a fresh reload.')
-    } finally {
-      if (restore) { setShowColor(prevShow); await nextFrame() }
+      alert(e.message || 'Export failed. Try again after a fresh reload.')
+    }
+  }
+
+  const handleExportPosts = async (options) => {
+    try {
+      const zip = await exportPostsZip(options)
+      if (zip) downloadBlob(zip, 'gridtone-posts.zip')
+    } catch (e) {
+      console.error('Post export failed', e)
+      alert(e.message || 'Post export failed. Try again after a fresh reload.')
     }
   }
 
@@ -153,6 +515,20 @@ export default function App() {
         </div>
 
         <div className="controls">
+          <div className="row">
+            <ProjectSwitcher
+              projects={projects}
+              activeProjectId={activeProjectId}
+              onSwitch={runProjectAction(switchProject)}
+              onCreate={runProjectAction(createProject)}
+              onRename={runProjectAction(renameProject)}
+              onDuplicate={runProjectAction(duplicateProject)}
+              onDelete={runProjectAction(deleteProject)}
+              onExport={runProjectAction(exportProject)}
+              onOpen={runProjectAction(openProject)}
+            />
+          </div>
+
           <div className="row">
             <label className="check">
               <input type="checkbox" checked={showColor} onChange={(e)=>setShowColor(e.target.checked)} />
@@ -161,7 +537,28 @@ export default function App() {
 
             <select value={mode} onChange={(e)=>setMode(e.target.value)} aria-label="Color mode">
               <option value="average">Average</option>
-              <option value="dominant">Dominant (3)</option>
+              <option value="dominant">Dominant ({domCount})</option>
+            </select>
+
+            <select
+              value={domCount}
+              onChange={(e)=>setDomCount(Number(e.target.value))}
+              aria-label="Dominant colors per tile"
+              disabled={mode !== 'dominant'}
+            >
+              {Array.from({ length: DOMINANT_MAX_K }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n} {n === 1 ? 'color' : 'colors'}</option>
+              ))}
+            </select>
+
+            <select
+              value={stripeMode}
+              onChange={(e)=>setStripeMode(e.target.value)}
+              aria-label="Stripe sizes"
+              disabled={mode !== 'dominant'}
+            >
+              <option value="equal">Equal stripes</option>
+              <option value="proportional">Proportional stripes</option>
             </select>
 
             <select
@@ -174,6 +571,22 @@ export default function App() {
               <option value={OVERLAY_MODES.FULL}>Full</option>
             </select>
 
+            <select
+              value={columns}
+              onChange={(e)=>setColumns(Number(e.target.value))}
+              aria-label="Grid columns"
+            >
+              {GRID_COLUMN_OPTIONS.map(n => (
+                <option key={n} value={n}>{n} across</option>
+              ))}
+            </select>
+
+            <select value={aspect} onChange={(e)=>setAspect(e.target.value)} aria-label="Tile shape">
+              {Object.entries(GRID_ASPECTS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+
             <label className="range">
               <span>Opacity</span>
               <input
@@ -182,23 +595,76 @@ export default function App() {
                 onChange={(e)=>setOverlayAlpha(Number(e.target.value))}
               />
             </label>
+
+            <label className="check">
+              <input type="checkbox" checked={showPalette} onChange={(e)=>setShowPalette(e.target.checked)} />
+              <span>Show Palette</span>
+            </label>
+
+            <select value={harmonyLayer} onChange={(e)=>setHarmonyLayer(e.target.value)} aria-label="Neighbour harmony layer">
+              <option value="off">Harmony: off</option>
+              <option value="heatmap">Harmony: heatmap</option>
+              <option value="edges">Harmony: edges</option>
+            </select>
           </div>
 
           <div className="row">
-            <button className="btn" onClick={onAddClick}>Add Images</button>
+            <button className="btn" onClick={onAddClick} disabled={importing}>Add Images</button>
+            <button className="btn" onClick={()=>setSliceOpen(true)} disabled={!loadedProjectId}>Slice Panorama…</button>
+            <button className="btn" onClick={()=>setScreenshotOpen(true)} disabled={!loadedProjectId}>Import Screenshot…</button>
             <button className="btn" onClick={loadSampleGrid}>Load Sample 3×3</button>
+            <button className="btn" onClick={clearGrid} disabled={!items.length}>Clear Grid</button>
 
-            <label className="check">
-              <input
-                type="checkbox"
-                checked={exportIncludeOverlay}
-                onChange={(e)=>setExportIncludeOverlay(e.target.checked)}
-              />
-              <span>Include overlays</span>
-            </label>
+            <button
+              className="btn"
+              onClick={undo}
+              disabled={!undoLabel}
+              title={undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl/⌘+Z)` : 'Nothing to undo'}
+            >
+              Undo
+            </button>
+            <button
+              className="btn"
+              onClick={redo}
+              disabled={!redoLabel}
+              title={redoLabel ? `Redo ${redoLabel.toLowerCase()} (Shift+Ctrl/⌘+Z)` : 'Nothing to redo'}
+            >
+              Redo
+            </button>
+
+            <button className="btn" onClick={()=>setArrangeOpen(true)} disabled={items.length < 2}>
+              Auto-arrange…
+            </button>
+
+            <button
+              className="btn"
+              onClick={()=>setTimelineStep(s => (s == null ? 0 : null))}
+              disabled={!items.length}
+              aria-pressed={timelineStep != null}
+            >
+              Timeline
+            </button>
+
+            <button
+              className="btn"
+              onClick={()=>setToneMapOpen(o => !o)}
+              disabled={!loadedProjectId}
+              aria-pressed={toneMapOpen}
+            >
+              Tone Map
+            </button>
 
-            <button className="btn primary" onClick={handleExportJPG}>
-              Export layout as JPG
+            <button
+              className="btn"
+              onClick={()=>setBrandOpen(true)}
+              disabled={!loadedProjectId}
+              title={offBrand ? `${offBrand} ${offBrand === 1 ? 'post drifts' : 'posts drift'} off the brand palette` : undefined}
+            >
+              Brand…{offBrand > 0 && <span className="btn-count">{offBrand}</span>}
+            </button>
+
+            <button className="btn primary" onClick={()=>setExportOpen(true)} disabled={!items.length}>
+              Export…
             </button>
           </div>
         </div>
@@ -208,16 +674,70 @@ export default function App() {
         <input
           ref={fileInputRef}
           type="file"
-          accept="image/*"
+          accept={IMPORT_TYPES.join(',')}
           multiple
           hidden
-          onChange={(e)=>onFilesSelected(e.target.files)}
+          onChange={(e)=>{ onFilesSelected(e.target.files); e.target.value = '' }}
         />
 
-        <div ref={exportRootRef} id="export-root">
+        <ImportStatus progress={progress} report={report} onCancel={cancelImport} onDismiss={dismissReport} />
+
+        {timelineOpen && (
+          <TimelineBar
+            step={step}
+            steps={timelineSteps}
+            onStep={(s)=>setTimelineStep(Math.max(0, Math.min(timelineSteps, s)))}
+            flagClashes={flagClashes}
+            onFlagClashes={setFlagClashes}
+            clashSteps={clashSteps}
+            clashCount={clashes.length}
+            onClose={()=>setTimelineStep(null)}
+          />
+        )}
+
+        {toneMapOpen && (
+          <ToneMapBar
+            brush={brush}
+            onBrush={setBrush}
+            targetCount={toneMap.filter(Boolean).length}
+            offCount={offTarget}
+            onGradient={applyToneGradient}
+            onClear={()=>setToneMap([])}
+            onClose={()=>setToneMapOpen(false)}
+          />
+        )}
+
+        {placements.length > 0 && (
+          <PlacementBar
+            tile={placingTile}
+            ratio={aspectRatio(aspect)}
+            remaining={placeable.length}
+            best={placements[0].deltaE}
+            onSkip={skipPlacement}
+            onDone={()=>setPlacing([])}
+          />
+        )}
+
+        <div id="export-root">
           <Grid
-            items={items}
-            setItems={setItems}
+            items={timelineItems || items}
+            readOnly={timelineOpen}
+            flagged={timelineOpen && flagClashes ? clashIds : null}
+            harmonyLayer={harmonyLayer}
+            placingId={placements.length ? placingTile.id : null}
+            suggested={placements.length ? suggested : null}
+            onPlace={placeTile}
+            tones={gridTones}
+            brandReport={brandDrift}
+            painting={toneMapOpen}
+            onPaint={paintTone}
+            columns={columns}
+            aspect={aspect}
+            domCount={domCount}
+            proportional={proportional}
+            onMove={moveItem}
+            onMoveGroup={moveGroup}
+            onRemove={removeItem}
             activeId={activeId}
             setActiveId={setActiveId}
             showColor={showColor}
@@ -231,17 +751,105 @@ export default function App() {
         </div>
       </main>
 
+      <PaletteSidebar
+        open={showPalette}
+        items={items}
+        mode={mode}
+        domCount={domCount}
+        proportional={proportional}
+        columns={columns}
+        aspect={aspect}
+        tones={tones}
+      />
+
+      {exportOpen && (
+        <ExportDialog
+          open={exportOpen}
+          onClose={()=>setExportOpen(false)}
+          items={items}
+          columns={columns}
+          aspect={aspect}
+          overlay={exportOverlay}
+          options={settings}
+          onOptionChange={(key, value)=>setSetting(key)(value)}
+          onExport={handleExport}
+          onExportPosts={handleExportPosts}
+        />
+      )}
+
+      {sliceOpen && (
+        <SliceImportDialog
+          open={sliceOpen}
+          onClose={()=>setSliceOpen(false)}
+          columns={columns}
+          aspect={aspect}
+          tileSize={settings.exportTileSize}
+          spacing={settings.exportSpacing}
+          onSlice={sliceImage}
+        />
+      )}
+
+      {screenshotOpen && (
+        <ScreenshotImportDialog
+          open={screenshotOpen}
+          onClose={()=>setScreenshotOpen(false)}
+          columns={columns}
+          aspect={aspect}
+          onImport={importScreenshot}
+        />
+      )}
+
+      {arrangeOpen && (
+        <ArrangeDialog
+          open={arrangeOpen}
+          onClose={()=>setArrangeOpen(false)}
+          items={items}
+          columns={columns}
+          aspect={aspect}
+          domCount={domCount}
+          onApply={applyArrangement}
+        />
+      )}
+
+      {brandOpen && (
+        <BrandDialog
+          open={brandOpen}
+          onClose={()=>setBrandOpen(false)}
+          brand={brand}
+          onChange={setBrand}
+          items={items}
+          aspect={aspect}
+          domCount={domCount}
+          report={brandDrift}
+          onExtractColors={extractBrandColors}
+          onOpenTile={openTileById}
+        />
+      )}
+
       {viewerOpen && (
         <ImageViewerModal
+          open={viewerOpen}
           items={items}
           index={viewerIndex}
+          setIndex={setViewerIndex}
           onClose={()=>setViewerOpen(false)}
-          onPrev={()=>setViewerIndex(i=>Math.max(0, i-1))}
-          onNext={()=>setViewerIndex(i=>Math.min(items.length-1, i+1))}
+          onDeleteCurrent={deleteViewerItem}
           showColor={showColor}
+          setShowColor={setShowColor}
           mode={mode}
+          setMode={setMode}
           overlayMode={overlayMode}
-          overlayAlpha={overlayAlpha}
+          setOverlayMode={setOverlayMode}
+          overlayAlphaIdx={overlayAlphaIdx}
+          setOverlayAlphaIdx={(i)=>setOverlayAlpha(OVERLAY_ALPHAS[i])}
+          overlayAlphas={OVERLAY_ALPHAS}
+          aspect={aspect}
+          domCount={domCount}
+          proportional={proportional}
+          onCropChange={changeCrop}
+          onFeedChange={changeFeedState}
+          brandReport={brandDrift}
+          brandName={brand.name}
         />
       )}
 
@@ -254,47 +862,31 @@ export default function App() {
 
 /* ---------------- helpers ---------------- */
 
-function readFileAsDataURL(file) {
-  return new Promise((resolve, reject) => {
-    const fr = new FileReader()
-    fr.onload = () => resolve(fr.result)
-    fr.onerror = reject
-    fr.readAsDataURL(file)
-  })
-}
-
-async function downscale(dataUrl, maxSide = 1600) {
-  const img = new Image()
-  img.src = dataUrl
-  await imageLoaded(img)
-  const { width, height } = img
-  const scale = Math.min(1, maxSide / Math.max(width, height))
-  if (scale === 1) return dataUrl
-  const canvas = document.createElement('canvas')
-  canvas.width = Math.round(width * scale)
-  canvas.height = Math.round(height * scale)
-  const ctx = canvas.getContext('2d')
-  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-  return canvas.toDataURL('image/jpeg', 0.92)
-}
-
-function imageLoaded(img) {
-  return new Promise((res, rej) => {
-    if (img.complete && img.naturalWidth) return res()
-    img.onload = () => res()
-    img.onerror = rej
-  })
+// Average + up to k dominant colors (with coverage weights) of an image or a region of it,
+// gray if analysis fails
+async function analyzeTile(img, k, rect = null) {
+  try {
+    const { avg, dom, domWeights } = await analyzeImage(img, rect, k)
+    return dom.length
+      ? { avg: avg || FALLBACK, dom, domWeights, domK: k }
+      : { avg: avg || FALLBACK, dom: [avg || FALLBACK], domWeights: [1], domK: k }
+  } catch (e) {
+    console.warn('Color analysis failed', e)
+    return { avg: FALLBACK, dom: [FALLBACK], domWeights: [1], domK: k }
+  }
 }
 
 function nextFrame() {
   return new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)))
 }
 
-function downloadBlobURL(dataUrl, filename) {
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
   const a = document.createElement('a')
-  a.href = dataUrl
+  a.href = url
   a.download = filename
   document.body.appendChild(a)
   a.click()
   a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
 }
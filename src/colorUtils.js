@@ -2,6 +2,9 @@
  * Color utilities: average and dominant colors from a bitmap.
  */
 
+export const DOMINANT_MAX_K = 8
+const MERGE_DELTA_E = 4 // centers closer than this (ΔE) count as one color
+
 export function averageColorFromBitmap(bitmap, max = 96) {
   const { ctx, scaledW, scaledH } = drawBitmap(bitmap, max)
   const { data } = ctx.getImageData(0, 0, scaledW, scaledH)
@@ -12,10 +15,21 @@ export function averageColorFromBitmap(bitmap, max = 96) {
 }
 
 /**
- * K-means to find up to k dominant colors.
- * Returns colors sorted by cluster size descending.
+ * Dominant colors only (see dominantPaletteFromBitmap), largest cluster first.
+ */
+export function dominantColorsFromBitmap(bitmap, k=3, samples, max, iters) {
+  return dominantPaletteFromBitmap(bitmap, k, samples, max, iters).map(x=>x.color)
+}
+
+/**
+ * Perceptual dominant colors: k-means in OKLab with k-means++ seeding.
+ * Seeding uses a fixed-seed PRNG, so the same image always yields the same palette.
+ * Centers closer than MERGE_DELTA_E are merged. Returns up to k
+ * { color: [r,g,b], weight } entries, largest cluster first; weight is the share
+ * of sampled pixels in the cluster (weights sum to 1).
  */
-export function dominantColorsFromBitmap(bitmap, k=3, samples=4000, max=96, iters=8) {
+export function dominantPaletteFromBitmap(bitmap, k=3, samples=4000, max=96, iters=12) {
+  k = clampK(k)
   const { ctx, scaledW, scaledH } = drawBitmap(bitmap, max)
   const { data } = ctx.getImageData(0,0,scaledW,scaledH)
 
@@ -24,39 +38,40 @@ export function dominantColorsFromBitmap(bitmap, k=3, samples=4000, max=96, iter
   const pts = []
   for (let i=0; i<total; i+=step) {
     const idx = i*4
-    pts.push([data[idx], data[idx+1], data[idx+2]])
+    if (data[idx+3] < 128) continue // ignore transparent pixels
+    pts.push(rgbToOklab([data[idx], data[idx+1], data[idx+2]]))
   }
   if (!pts.length) return []
 
-  // Initialize centers with first k samples.
-  let centers = pts.slice(0,k).map(p=>p.slice())
+  let centers = seedKMeansPP(pts, k, mulberry32(0x9e3779b9))
 
-  // Lloyd's iterations.
+  // Lloyd's iterations (stop early once assignments settle).
   for (let iter=0; iter<iters; iter++) {
-    const sums = Array.from({length:k},()=>[0,0,0,0]) // r,g,b,count
+    const sums = centers.map(()=>[0,0,0,0]) // L,a,b,count
     for (const p of pts) {
       const j = nearest(centers, p)
       sums[j][0]+=p[0]; sums[j][1]+=p[1]; sums[j][2]+=p[2]; sums[j][3]++
     }
-    for (let j=0;j<k;j++){
-      if (sums[j][3]>0) {
-        centers[j][0]=Math.round(sums[j][0]/sums[j][3])
-        centers[j][1]=Math.round(sums[j][1]/sums[j][3])
-        centers[j][2]=Math.round(sums[j][2]/sums[j][3])
-      }
-    }
+    let moved = 0
+    centers = centers.map((c,j)=>{
+      const n = sums[j][3]
+      if (!n) return c
+      const next = [sums[j][0]/n, sums[j][1]/n, sums[j][2]/n]
+      moved = Math.max(moved, dist2(c, next))
+      return next
+    })
+    if (moved < 1e-8) break
   }
 
-  // Final assignment for cluster sizes, sort by size desc.
-  const counts = Array(k).fill(0)
+  // Final assignment for cluster sizes, merge near-duplicates, sort by size desc.
+  const counts = Array(centers.length).fill(0)
   for (const p of pts) counts[nearest(centers, p)]++
 
-  return centers
-    .map((c,i)=>({c,n:counts[i]}))
-    .filter(x=>x.n>0)
+  const clusters = mergeClose(centers.map((c,i)=>({c,n:counts[i]})).filter(x=>x.n>0))
     .sort((a,b)=>b.n - a.n)
     .slice(0,k)
-    .map(x=>x.c)
+  const kept = clusters.reduce((a,x)=>a+x.n, 0)
+  return clusters.map(x=>({ color: oklabToRgb(x.c), weight: x.n/kept }))
 }
 
 /**
@@ -64,17 +79,21 @@ export function dominantColorsFromBitmap(bitmap, k=3, samples=4000, max=96, iter
  * This avoids re-decoding the original file repeatedly.
  */
 export function bitmapToJpegDataURL(bitmap, maxDim = 1600, quality = 0.9){
-  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height))
-  const w = Math.max(1, Math.round(bitmap.width * scale))
-  const h = Math.max(1, Math.round(bitmap.height * scale))
-  const canvas = new OffscreenCanvas(w, h)
-  const ctx = canvas.getContext('2d')
-  ctx.drawImage(bitmap, 0, 0, w, h)
+  const canvas = scaledCanvas(bitmap, maxDim)
   return canvas.convertToBlob
     ? canvas.convertToBlob({ type: 'image/jpeg', quality }).then(blobToDataURL)
     : Promise.resolve(canvasToDataURL(canvas, quality))
 }
 
+/**
+ * Downscaled JPEG Blob from a bitmap (works in workers). Resolves to { blob, width, height }.
+ */
+export async function bitmapToJpegBlob(bitmap, maxDim = 1600, quality = 0.9){
+  const canvas = scaledCanvas(bitmap, maxDim)
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality })
+  return { blob, width: canvas.width, height: canvas.height }
+}
+
 /**
  * Helpers.
  */
@@ -82,18 +101,119 @@ export function bitmapToJpegDataURL(bitmap, maxDim = 1600, quality = 0.9){
 function nearest(centers, p){
   let bi=0, bd=Infinity
   for (let i=0;i<centers.length;i++){
-    const c=centers[i]
-    const dr=p[0]-c[0], dg=p[1]-c[1], db=p[2]-c[2]
-    const d=dr*dr+dg*dg+db*db
+    const d=dist2(p, centers[i])
     if (d<bd){ bd=d; bi=i}
   }
   return bi
 }
 
+function dist2(p, c){
+  const d0=p[0]-c[0], d1=p[1]-c[1], d2=p[2]-c[2]
+  return d0*d0+d1*d1+d2*d2
+}
+
+// k-means++: first center at random, each next one with probability ∝ squared distance.
+function seedKMeansPP(pts, k, rand){
+  const centers = [pts[Math.floor(rand()*pts.length)].slice()]
+  const d = pts.map(p=>dist2(p, centers[0]))
+  while (centers.length < k) {
+    const sum = d.reduce((a,b)=>a+b, 0)
+    if (sum <= 0) break // fewer distinct colors than k
+    let r = rand()*sum, i = 0
+    while (i < pts.length-1 && (r -= d[i]) > 0) i++
+    centers.push(pts[i].slice())
+    for (let j=0;j<pts.length;j++) d[j] = Math.min(d[j], dist2(pts[j], pts[i]))
+  }
+  return centers
+}
+
+// Merge clusters whose centers are perceptually indistinguishable (weighted mean).
+function mergeClose(clusters){
+  const limit = (MERGE_DELTA_E/100)**2
+  const out = []
+  for (const cl of clusters.slice().sort((a,b)=>b.n-a.n)) {
+    const hit = out.find(o=>dist2(o.c, cl.c) < limit)
+    if (!hit) { out.push({ c: cl.c.slice(), n: cl.n }); continue }
+    const n = hit.n + cl.n
+    hit.c = hit.c.map((v,i)=>(v*hit.n + cl.c[i]*cl.n)/n)
+    hit.n = n
+  }
+  return out
+}
+
+// Small deterministic PRNG (mulberry32).
+function mulberry32(seed){
+  let a = seed >>> 0
+  return ()=>{
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function clampK(k){
+  return Math.min(DOMINANT_MAX_K, Math.max(1, Math.round(k) || 1))
+}
+
+/**
+ * Color spaces: sRGB ⇄ OKLab, and a perceptual distance.
+ */
+
+const SRGB_TO_LINEAR = Array.from({length:256}, (_, i)=>{
+  const c = i/255
+  return c <= 0.04045 ? c/12.92 : ((c+0.055)/1.055)**2.4
+})
+
+function linearToSrgb(c){
+  const v = c <= 0.0031308 ? 12.92*c : 1.055*c**(1/2.4) - 0.055
+  return Math.round(Math.min(1, Math.max(0, v))*255)
+}
+
+export function rgbToOklab([r,g,b]){
+  const lr=SRGB_TO_LINEAR[r|0], lg=SRGB_TO_LINEAR[g|0], lb=SRGB_TO_LINEAR[b|0]
+  const l=Math.cbrt(0.4122214708*lr + 0.5363325363*lg + 0.0514459929*lb)
+  const m=Math.cbrt(0.2119034982*lr + 0.6806995451*lg + 0.1073969566*lb)
+  const s=Math.cbrt(0.0883024619*lr + 0.2817188376*lg + 0.6299787005*lb)
+  return [
+    0.2104542553*l + 0.7936177850*m - 0.0040720468*s,
+    1.9779984951*l - 2.4285922050*m + 0.4505937099*s,
+    0.0259040371*l + 0.7827717662*m - 0.8086757660*s,
+  ]
+}
+
+export function oklabToRgb([L,a,b]){
+  const l=(L + 0.3963377774*a + 0.2158037573*b)**3
+  const m=(L - 0.1055613458*a - 0.0638541728*b)**3
+  const s=(L - 0.0894841775*a - 1.2914855480*b)**3
+  return [
+    linearToSrgb( 4.0767416621*l - 3.3077115913*m + 0.2309699292*s),
+    linearToSrgb(-1.2684380046*l + 2.6097574011*m - 0.3413193965*s),
+    linearToSrgb(-0.0041960863*l - 0.7034186147*m + 1.7076147010*s),
+  ]
+}
+
+/**
+ * Perceptual color difference ΔE between two RGB colors: OKLab distance × 100,
+ * so ~2 is barely noticeable and 10+ is clearly different (similar scale to CIE ΔE).
+ */
+export function deltaE(rgbA, rgbB){
+  return Math.sqrt(dist2(rgbToOklab(rgbA), rgbToOklab(rgbB)))*100
+}
+
 export function rgbToHex([r,g,b]){
   return '#'+[r,g,b].map(x=>x.toString(16).padStart(2,'0')).join('').toUpperCase()
 }
 
+// '#RGB' / '#RRGGBB' (hash optional) → [r,g,b], or null if it isn't a hex color
+export function hexToRgb(hex){
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim())
+  if (!m) return null
+  const h = m[1].length===3 ? m[1].replace(/./g, c=>c+c) : m[1]
+  return [0,2,4].map(i=>parseInt(h.slice(i,i+2), 16))
+}
+
 function drawBitmap(bitmap, max){
   const ratio = Math.max(bitmap.width, bitmap.height)/max
   const scaledW = Math.max(1, Math.round(bitmap.width/ratio))
@@ -104,6 +224,16 @@ function drawBitmap(bitmap, max){
   return { ctx, scaledW, scaledH }
 }
 
+function scaledCanvas(bitmap, maxDim){
+  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height))
+  const w = Math.max(1, Math.round(bitmap.width * scale))
+  const h = Math.max(1, Math.round(bitmap.height * scale))
+  const canvas = new OffscreenCanvas(w, h)
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(bitmap, 0, 0, w, h)
+  return canvas
+}
+
 function blobToDataURL(blob){
   return new Promise((resolve, reject)=>{
     const fr = new FileReader()
@@ -116,3 +246,42 @@ function blobToDataURL(blob){
 function canvasToDataURL(canvas, q){
   return canvas.toDataURL('image/jpeg', q)
 }
+
+/**
+ * Average + dominant colors (with coverage weights) of part of an image (a tile's crop).
+ * rect is { x, y, w, h } in 0..1 of the source; omit it for the whole image.
+ */
+export async function analyzeImageRegion(source, rect, k=3){
+  const bitmap = await regionBitmap(source, rect)
+  try {
+    return analyzeBitmap(bitmap, k)
+  } finally {
+    bitmap.close?.()
+  }
+}
+
+/**
+ * Bitmap of a { x, y, w, h } (0..1) region of an image; the whole image without rect.
+ */
+export function regionBitmap(source, rect){
+  const sw = source.naturalWidth || source.width
+  const sh = source.naturalHeight || source.height
+  const r = rect || { x:0, y:0, w:1, h:1 }
+  return createImageBitmap(
+    source,
+    Math.round(r.x*sw), Math.round(r.y*sh),
+    Math.max(1, Math.round(r.w*sw)), Math.max(1, Math.round(r.h*sh))
+  )
+}
+
+/**
+ * Average + up to k dominant colors (with coverage weights) of a whole bitmap.
+ */
+export function analyzeBitmap(bitmap, k=3){
+  const palette = dominantPaletteFromBitmap(bitmap, k)
+  return {
+    avg: averageColorFromBitmap(bitmap),
+    dom: palette.map(x=>x.color),
+    domWeights: palette.map(x=>x.weight),
+  }
+}
@@ -0,0 +1,91 @@
+// Auto-arrange: pick a color goal and compare the current grid with the rearranged one
+// side by side before accepting it. Pinned, published and linked-slice posts stay put
+// (see utils/arrange).
+
+import React, { memo, useMemo, useState } from 'react'
+import Modal from '../Modal'
+import { ARRANGE_GOALS, DEFAULT_ARRANGE_GOAL } from '../constants'
+import { aspectCSS, aspectRatio } from '../utils/gridLayout'
+import { autoArrange, isArrangeable } from '../utils/arrange'
+import CroppedImage from './CroppedImage.jsx'
+import { useTileImage } from '../hooks/useTileImage'
+
+export default function ArrangeDialog({
+  open,
+  onClose,
+  items,
+  columns,
+  aspect,
+  domCount,
+  onApply, // (arranged items)
+}) {
+  const [goal, setGoal] = useState(DEFAULT_ARRANGE_GOAL)
+  const arranged = useMemo(() => autoArrange(items, columns, goal, domCount), [items, columns, goal, domCount])
+  const moved = arranged.filter((t, i) => t !== items[i]).length
+  const fixed = items.filter(t => !isArrangeable(t)).length
+
+  const accept = () => {
+    onApply(arranged)
+    onClose()
+  }
+
+  return (
+    <Modal open={open} onClose={onClose} title="Auto-arrange">
+      <div className="modal-header">
+        <strong>Auto-arrange</strong>
+        <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <div className="modal-controls">
+        <label>
+          <span>Goal </span>
+          <select value={goal} onChange={(e) => setGoal(e.target.value)}>
+            {Object.entries(ARRANGE_GOALS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <span className="export-note">{ARRANGE_GOALS[goal].hint}</span>
+      </div>
+
+      <div className="modal-body slice-body">
+        <div className="arrange-compare">
+          <ArrangePreview title="Current" items={items} columns={columns} aspect={aspect} />
+          <ArrangePreview title="Arranged" items={arranged} columns={columns} aspect={aspect} />
+        </div>
+        <div className="export-footer">
+          <span className="export-note">
+            {moved ? `${moved} ${moved === 1 ? 'post moves' : 'posts move'}` : 'Already arranged this way'}
+            {fixed ? ` · ${fixed} pinned, published or linked ${fixed === 1 ? 'post stays' : 'posts stay'} in place` : ''}
+          </span>
+          <span className="export-actions">
+            <button className="btn" onClick={onClose}>Discard</button>
+            <button className="btn primary" onClick={accept} disabled={!moved}>Accept</button>
+          </span>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+function ArrangePreview({ title, items, columns, aspect }) {
+  const ratio = aspectRatio(aspect)
+  return (
+    <figure className="arrange-preview">
+      <figcaption>{title}</figcaption>
+      <div className="arrange-grid" style={{ '--grid-columns': columns, '--tile-aspect': aspectCSS(aspect) }}>
+        {items.map(item => <ArrangeCell key={item.id} item={item} ratio={ratio} />)}
+      </div>
+    </figure>
+  )
+}
+
+const ArrangeCell = memo(function ArrangeCell({ item, ratio }) {
+  const src = useTileImage(item)
+  const fixed = !isArrangeable(item)
+  return (
+    <div className={`arrange-cell${fixed ? ' is-fixed' : ''}`} title={fixed ? 'Stays in place' : undefined}>
+      <CroppedImage src={src} crop={item.crop} ratio={ratio} alt="" className="tile-img" draggable={false} decoding="async" />
+    </div>
+  )
+})
@@ -0,0 +1,209 @@
+// Brand palette: name the board's palette and build it from hex values, colors picked
+// from tiles or the dominant colors of an image; set how far posts may drift, and see
+// which posts are off brand (see utils/brand).
+
+import React, { memo, useState } from 'react'
+import Modal from '../Modal'
+import { IMPORT_TYPES } from '../constants'
+import { rgbToHex, hexToRgb } from '../colorUtils'
+import { aspectRatio } from '../utils/gridLayout'
+import { paletteColors } from '../utils/palette'
+import { addBrandColors, BRAND_TOLERANCE_RANGE } from '../utils/brand'
+import CroppedImage from './CroppedImage.jsx'
+import { useTileImage } from '../hooks/useTileImage'
+
+export default function BrandDialog({
+  open,
+  onClose,
+  brand, // { name, colors, tolerance }
+  onChange, // (brand)
+  items,
+  aspect,
+  domCount,
+  report, // tile id → { deltaE, off, worst } (null without brand colors)
+  onExtractColors, // (file) => Promise<[[r, g, b]]>
+  onOpenTile, // (id)
+}) {
+  const [hex, setHex] = useState('#5F8CFF')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const ratio = aspectRatio(aspect)
+  const [min, max] = BRAND_TOLERANCE_RANGE
+
+  const update = (changes) => onChange({ ...brand, ...changes })
+  const addColors = (colors) => update({ colors: addBrandColors(brand.colors, colors) })
+  const removeColor = (i) => update({ colors: brand.colors.filter((_, j) => j !== i) })
+
+  const addHex = () => {
+    const rgb = hexToRgb(hex)
+    if (!rgb) {
+      setError(`“${hex}” isn't a hex color (like #5F8CFF).`)
+      return
+    }
+    setError(null)
+    addColors([rgb])
+  }
+
+  const importImage = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setBusy(true)
+    setError(null)
+    try {
+      addColors(await onExtractColors(file))
+    } catch (err) {
+      console.error('Reading brand colors failed', err)
+      setError('That image could not be read.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const drifting = report
+    ? items
+      .map((tile, index) => ({ tile, index, drift: report.get(tile.id) }))
+      .filter(d => d.drift?.off)
+      .sort((a, b) => b.drift.deltaE - a.drift.deltaE)
+    : []
+
+  return (
+    <Modal open={open} onClose={onClose} title="Brand palette">
+      <div className="modal-header">
+        <strong>Brand palette</strong>
+        <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <div className="modal-controls">
+        <label>
+          <span>Name </span>
+          <input
+            type="text"
+            value={brand.name}
+            placeholder="e.g. Client spring palette"
+            onChange={(e) => update({ name: e.target.value })}
+            aria-label="Palette name"
+          />
+        </label>
+        <label title="How far (ΔE) a post's colors may be from the nearest brand color">
+          <span>Tolerance ΔE {brand.tolerance}</span>
+          <input
+            type="range" min={min} max={max} step="1"
+            value={brand.tolerance}
+            onChange={(e) => update({ tolerance: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      <div className="modal-body slice-body">
+        <section className="brand-section">
+          <h3>Colors</h3>
+          {brand.colors.length ? (
+            <ul className="brand-colors">
+              {brand.colors.map((c, i) => (
+                <li key={rgbToHex(c)} className="brand-chip">
+                  <span className="tonemap-swatch" style={{ background: rgbToHex(c) }} />
+                  {rgbToHex(c)}
+                  <button className="brand-remove" onClick={() => removeColor(i)} aria-label={`Remove ${rgbToHex(c)}`}>×</button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="export-note">No brand colors yet. Add them by hex value, from your tiles below, or from an image.</p>
+          )}
+          <div className="brand-add">
+            <input
+              type="color"
+              value={hexToRgb(hex) ? rgbToHex(hexToRgb(hex)) : '#000000'}
+              onChange={(e) => setHex(e.target.value.toUpperCase())}
+              aria-label="Pick a color"
+            />
+            <input
+              type="text"
+              value={hex}
+              onChange={(e) => setHex(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') addHex() }}
+              size="9"
+              aria-label="Hex color"
+            />
+            <button className="btn" onClick={addHex}>Add</button>
+            <label className="btn">
+              {busy ? 'Reading…' : 'Import from image…'}
+              <input type="file" accept={IMPORT_TYPES.join(',')} onChange={importImage} hidden disabled={busy} />
+            </label>
+          </div>
+          {error && <p className="export-error">{error}</p>}
+        </section>
+
+        {items.length > 0 && (
+          <section className="brand-section">
+            <h3>Pick from tiles</h3>
+            <div className="brand-tiles">
+              {items.map(tile => (
+                <BrandTile key={tile.id} tile={tile} ratio={ratio} domCount={domCount} onPick={(c) => addColors([c])} />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {report && (
+          <section className="brand-section">
+            <h3>
+              {drifting.length
+                ? `${drifting.length} of ${items.length} ${items.length === 1 ? 'post drifts' : 'posts drift'} off ${brand.name || 'the palette'}`
+                : `Every post is on ${brand.name || 'brand'}`}
+            </h3>
+            {drifting.length > 0 && (
+              <ul className="brand-drift">
+                {drifting.map(({ tile, index, drift }) => (
+                  <li key={tile.id}>
+                    <button className="brand-driftRow" onClick={() => onOpenTile(tile.id)}>
+                      <BrandThumb tile={tile} ratio={ratio} />
+                      <span>#{index + 1}</span>
+                      <span>ΔE {Math.round(drift.deltaE)}</span>
+                      <span className="brand-pair" title={`${rgbToHex(drift.worst.color)} is ΔE ${Math.round(drift.worst.deltaE)} from the nearest brand color ${rgbToHex(drift.worst.brand)}`}>
+                        <span className="tonemap-swatch" style={{ background: rgbToHex(drift.worst.color) }} />
+                        →
+                        <span className="tonemap-swatch" style={{ background: rgbToHex(drift.worst.brand) }} />
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+      </div>
+    </Modal>
+  )
+}
+
+const BrandThumb = memo(function BrandThumb({ tile, ratio }) {
+  const src = useTileImage(tile)
+  return (
+    <span className="brand-thumb" style={{ aspectRatio: ratio }}>
+      <CroppedImage src={src} crop={tile.crop} ratio={ratio} alt="" className="tile-img" draggable={false} decoding="async" />
+    </span>
+  )
+})
+
+// A tile with its dominant colors as buttons that add the color to the palette
+function BrandTile({ tile, ratio, domCount, onPick }) {
+  return (
+    <div className="brand-tile">
+      <BrandThumb tile={tile} ratio={ratio} />
+      <div className="brand-tileColors">
+        {paletteColors(tile, domCount).map((c, i) => (
+          <button
+            key={i}
+            className="brand-pick"
+            style={{ background: rgbToHex(c) }}
+            onClick={() => onPick(c)}
+            title={`Add ${rgbToHex(c)}`}
+            aria-label={`Add ${rgbToHex(c)} to the brand palette`}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+// Tile image that fills its box and honours the tile's stored crop (focal point + zoom).
+// Without a crop (or before the natural size is known) it is a plain centered cover.
+
+import React, { memo, useState } from 'react'
+import { cropRect } from '../utils/gridLayout'
+
+function CroppedImage({ src, crop, ratio, className, style, ...rest }) {
+  const [natural, setNatural] = useState(null) // { src, w, h } once loaded
+  const size = natural?.src === src ? natural : null
+  const onLoad = (e) => {
+    const { naturalWidth: w, naturalHeight: h } = e.currentTarget
+    setNatural({ src, w, h })
+  }
+
+  if (!src) return null
+
+  if (!crop) {
+    return <img src={src} className={className} style={style} onLoad={onLoad} {...rest} />
+  }
+
+  if (!size) {
+    // Natural size unknown: approximate with the focal point only
+    return (
+      <img
+        src={src}
+        className={className}
+        style={{ ...style, objectPosition: `${crop.fx * 100}% ${crop.fy * 100}%` }}
+        onLoad={onLoad}
+        {...rest}
+      />
+    )
+  }
+
+  const r = cropRect(size.w, size.h, ratio, crop)
+  return (
+    <img
+      src={src}
+      className={className}
+      style={{
+        ...style,
+        position: 'absolute',
+        maxWidth: 'none',
+        width: `${100 / r.w}%`,
+        height: `${100 / r.h}%`,
+        left: `${(-r.x / r.w) * 100}%`,
+        top: `${(-r.y / r.h) * 100}%`,
+      }}
+      onLoad={onLoad}
+      {...rest}
+    />
+  )
+}
+
+// Overlay and drag updates re-render tiles often; the image only when src/crop/shape change
+export default memo(CroppedImage)
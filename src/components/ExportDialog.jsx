@@ -0,0 +1,226 @@
+// Export dialog: format, quality, tile size, spacing, background, border and overlays,
+// with a live preview rendered by the same canvas exporter (scaled down, thumbnails).
+// Also exports every planned post as its own post-sized file in a ZIP (same format/quality).
+
+import React, { useEffect, useState } from 'react'
+import Modal from '../Modal'
+import { EXPORT_FORMATS, EXPORT_TILE_SIZES, EXPORT_BORDER_WIDTHS, POST_WIDTH } from '../constants'
+import { exportGrid } from '../exportUtils'
+import { rowCount, tileHeight } from '../utils/gridLayout'
+import { postingSequence } from '../utils/feed'
+
+const PREVIEW_WIDTH = 560 // px
+const PREVIEW_DELAY = 200 // ms after the last change
+
+export default function ExportDialog({
+  open,
+  onClose,
+  items,
+  columns,
+  aspect,
+  overlay, // { mode, domCount, proportional, overlayMode, overlayAlpha }
+  options, // board settings: exportFormat, exportQuality, …
+  onOptionChange, // (key, value)
+  onExport, // (exportGrid options) => Promise
+  onExportPosts, // (exportPostsZip options) => Promise
+}) {
+  const {
+    exportFormat: format,
+    exportQuality: quality,
+    exportTileSize: tileSize,
+    exportSpacing: spacing,
+    exportBackground: background,
+    exportBorder: borderWidth,
+    exportBorderColor: borderColor,
+    exportIncludeOverlay: includeOverlays,
+  } = options
+  const [preview, setPreview] = useState(null) // { url } | { error }
+  const [busy, setBusy] = useState(false)
+  const [postProgress, setPostProgress] = useState(null) // { done, total } while zipping posts
+
+  // Linked slices were cut for a gutter; spacing that differs shifts their seams
+  const linked = items.find(t => t.group)?.group
+  const seamSpacing = linked ? Math.round(linked.gutter * tileSize) : null
+
+  const planned = postingSequence(items).length // posts the ZIP holds
+
+  const width = columns * tileSize + (columns - 1) * spacing
+  const rows = rowCount(items.length, columns)
+  const height = rows * tileHeight(tileSize, aspect) + Math.max(0, rows - 1) * spacing
+
+  const renderOptions = {
+    tiles: items,
+    columns,
+    aspect,
+    ...overlay,
+    includeOverlays,
+    tileSize,
+    spacing,
+    background,
+    border: borderWidth > 0 ? borderColor : null,
+    borderWidth,
+    format,
+    quality,
+  }
+
+  // Re-render the preview shortly after the options settle
+  useEffect(() => {
+    if (!open || !items.length) return
+    let cancelled = false
+    let url = null
+    const timer = setTimeout(async () => {
+      try {
+        const blob = await exportGrid({
+          ...renderOptions,
+          pixelRatio: Math.min(1, PREVIEW_WIDTH / width),
+          useMasters: false,
+        })
+        if (cancelled) return
+        url = URL.createObjectURL(blob)
+        setPreview({ url })
+      } catch (e) {
+        if (!cancelled) setPreview({ error: e.message })
+      }
+    }, PREVIEW_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      if (url) URL.revokeObjectURL(url)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, items, columns, aspect, overlay, includeOverlays, tileSize, spacing, background, borderWidth, borderColor, format, quality])
+
+  const handleExport = async () => {
+    setBusy(true)
+    try {
+      await onExport(renderOptions)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleExportPosts = async () => {
+    setBusy(true)
+    setPostProgress({ done: 0, total: planned })
+    try {
+      await onExportPosts({
+        tiles: items,
+        columns,
+        aspect,
+        format,
+        quality,
+        onProgress: (done, total) => setPostProgress({ done, total }),
+      })
+    } finally {
+      setBusy(false)
+      setPostProgress(null)
+    }
+  }
+
+  const set = (key, parse = (v) => v) => (e) => onOptionChange(key, parse(e.target.value))
+
+  return (
+    <Modal open={open} onClose={onClose} title="Export grid">
+      <div className="modal-header">
+        <strong>Export grid</strong>
+        <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <div className="modal-controls export-controls">
+        <label>
+          <span>Format</span>
+          <select value={format} onChange={set('exportFormat')}>
+            {Object.entries(EXPORT_FORMATS).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          <span>Quality {Math.round(quality * 100)}%</span>
+          <input
+            type="range" min="0.5" max="1" step="0.01"
+            value={quality}
+            onChange={set('exportQuality', Number)}
+            disabled={!EXPORT_FORMATS[format]?.lossy}
+          />
+        </label>
+
+        <label>
+          <span>Tile width</span>
+          <select value={tileSize} onChange={set('exportTileSize', Number)}>
+            {EXPORT_TILE_SIZES.map(px => <option key={px} value={px}>{px}px</option>)}
+          </select>
+        </label>
+
+        <label>
+          <span>Spacing {spacing}px</span>
+          <input type="range" min="0" max="64" step="1" value={spacing} onChange={set('exportSpacing', Number)} />
+        </label>
+        {seamSpacing != null && seamSpacing !== spacing && (
+          <button
+            className="btn"
+            onClick={() => onOptionChange('exportSpacing', seamSpacing)}
+            title="Linked slices were cut for this gap; other spacing shifts their seams"
+          >
+            Match slices ({seamSpacing}px)
+          </button>
+        )}
+
+        <label>
+          <span>Background</span>
+          <input type="color" value={background} onChange={set('exportBackground')} />
+        </label>
+
+        <label>
+          <span>Border</span>
+          <select value={borderWidth} onChange={set('exportBorder', Number)}>
+            {EXPORT_BORDER_WIDTHS.map(px => <option key={px} value={px}>{px ? `${px}px` : 'None'}</option>)}
+          </select>
+          <input
+            type="color"
+            value={borderColor}
+            onChange={set('exportBorderColor')}
+            disabled={!borderWidth}
+            aria-label="Border color"
+          />
+        </label>
+
+        <label className="check">
+          <input
+            type="checkbox"
+            checked={includeOverlays}
+            onChange={(e) => onOptionChange('exportIncludeOverlay', e.target.checked)}
+          />
+          <span>Include overlays</span>
+        </label>
+      </div>
+
+      <div className="modal-body export-body">
+        <div className="export-preview">
+          {preview?.url && <img src={preview.url} alt="Export preview" />}
+          {preview?.error && <p className="export-error">{preview.error}</p>}
+          {!preview && <p className="export-note">Rendering preview…</p>}
+        </div>
+        <div className="export-footer">
+          <span className="export-note">
+            {width} × {height}px · {EXPORT_FORMATS[format]?.label}
+          </span>
+          <span className="export-actions">
+            <button
+              className="btn"
+              onClick={handleExportPosts}
+              disabled={busy || !planned}
+              title={`Each planned post as a ${POST_WIDTH}×${tileHeight(POST_WIDTH, aspect)} file, numbered in posting order`}
+            >
+              {postProgress ? `Posts ${postProgress.done} of ${postProgress.total}…` : 'Posts as ZIP'}
+            </button>
+            <button className="btn primary" onClick={handleExport} disabled={busy || !items.length}>
+              {busy && !postProgress ? 'Exporting…' : 'Export'}
+            </button>
+          </span>
+        </div>
+      </div>
+    </Modal>
+  )
+}
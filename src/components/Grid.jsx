@@ -1,42 +1,102 @@
-import React, { useMemo, useState } from 'react'
+import React, { memo, useCallback, useMemo, useRef, useState } from 'react'
 import {
   DndContext,
   useSensor,
   useSensors,
   PointerSensor,
+  KeyboardSensor,
   closestCenter,
 } from '@dnd-kit/core'
 import {
-  arrayMove,
   SortableContext,
   rectSortingStrategy,
+  sortableKeyboardCoordinates,
   useSortable,
 } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
-import { OVERLAY_MODES } from '../constants'
+import { OVERLAY_MODES, GRID_COLUMNS, DEFAULT_GRID_ASPECT } from '../constants'
+import { cellLabel, aspectCSS, aspectRatio, rowCount } from '../utils/gridLayout'
+import { FALLBACK_RGB as FALLBACK, avgColor, paletteColors, paletteWeights, stripeGradient } from '../utils/palette'
+import { planMove, applyMove, groupStatus } from '../utils/linkedGroups'
+import { neighbourDeltas, harmonyScore, pairHarmony, HARMONY_BREAK } from '../utils/harmony'
+import { feedBounds, clampMove, isLocked } from '../utils/feed'
+import CroppedImage from './CroppedImage.jsx'
+import { useTileImage } from '../hooks/useTileImage'
+import { useVirtualRows } from '../hooks/useVirtualRows'
+import { useFlipAnimation } from '../hooks/useFlipAnimation'
+
+const VIRTUALIZE_FROM = 60 // tiles; smaller boards render every row
 
 /* ------------------------------------------------------------------ */
 /* Utilities                                                           */
 /* ------------------------------------------------------------------ */
 
-const FALLBACK = [128, 128, 128]
-
 function toRGB(arr) {
   const [r = 128, g = 128, b = 128] = Array.isArray(arr) ? arr : FALLBACK
   return `rgb(${r}, ${g}, ${b})`
 }
 
-function dom3(dom, avg) {
-  const a = Array.isArray(dom) ? dom : []
-  const pad = [avg, avg, avg]
-  return [...a, ...pad].slice(0, 3).map(c => (Array.isArray(c) ? c : avg))
+// Green (neighbours flow) → red (hard break) for a ΔE
+function heatColor(deltaE, alpha = 1) {
+  return `hsla(${Math.round(pairHarmony(deltaE) * 120)}, 85%, 50%, ${alpha})`
+}
+
+// Tone map painting: press to paint a slot, keep the button down to paint across tiles
+function paintHandlers(index, onPaint) {
+  return {
+    onPointerDown(e) {
+      e.currentTarget.releasePointerCapture?.(e.pointerId) // touch: let neighbours get pointerenter
+      onPaint(index)
+    },
+    onPointerEnter(e) {
+      if (e.buttons & 1) onPaint(index)
+    },
+  }
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+/* ------------------------------------------------------------------ */
+/* Screen-reader announcements for keyboard (and pointer) reordering   */
+/* ------------------------------------------------------------------ */
+
+const SCREEN_READER_INSTRUCTIONS = {
+  draggable:
+    'To pick up a tile, press Space. ' +
+    'While dragging, use the arrow keys to move it through the grid. ' +
+    'Press Space or Enter to drop it in its new position, or Escape to cancel. ' +
+    'Press Enter to open the tile in the viewer.',
+}
+
+function makeAnnouncements(items, columns) {
+  const indexOf = (id) => items.findIndex((i) => i.id === id)
+  const tileName = (id) => `Tile ${indexOf(id) + 1}`
+  return {
+    onDragStart({ active }) {
+      return `Picked up ${tileName(active.id)} at ${cellLabel(indexOf(active.id), columns)}.`
+    },
+    onDragOver({ active, over }) {
+      if (!over) return `${tileName(active.id)} is no longer over a grid position.`
+      return `${tileName(active.id)} moved to ${cellLabel(indexOf(over.id), columns)}.`
+    },
+    onDragEnd({ active, over }) {
+      if (!over) return `${tileName(active.id)} dropped. Its position did not change.`
+      return `${tileName(active.id)} dropped at ${cellLabel(indexOf(over.id), columns)}.`
+    },
+    onDragCancel({ active }) {
+      return `Moving cancelled. ${tileName(active.id)} returned to ${cellLabel(indexOf(active.id), columns)}.`
+    },
+  }
 }
 
 /* ------------------------------------------------------------------ */
 /* Overlay layer (single element per tile)                             */
 /* ------------------------------------------------------------------ */
 
-function TileOverlay({ show, mode, overlayMode, alpha, avg, dom }) {
+function TileOverlay({ show, mode, overlayMode, alpha, avg, dom, weights }) {
   if (!show) return null
 
   const opacity = Math.max(0, Math.min(1, alpha))
@@ -78,17 +138,12 @@ function TileOverlay({ show, mode, overlayMode, alpha, avg, dom }) {
 
   // Build background:
   // - average: a single color
-  // - dominant: 3 horizontal stripes via linear-gradient
+  // - dominant: one horizontal stripe per color (most → least) via linear-gradient,
+  //   sized by coverage in proportional mode
   let background = toRGB(avg || FALLBACK)
 
   if (mode === 'dominant') {
-    const [c1, c2, c3] = dom3(dom, avg || FALLBACK)
-    background = `linear-gradient(
-      to bottom,
-      ${toRGB(c1)} 0% 33.333%,
-      ${toRGB(c2)} 33.333% 66.666%,
-      ${toRGB(c3)} 66.666% 100%
-    )`
+    background = stripeGradient(dom, 1, 'to bottom', weights)
   }
 
   return (
@@ -113,18 +168,48 @@ function TileOverlay({ show, mode, overlayMode, alpha, avg, dom }) {
 /* Sortable tile                                                       */
 /* ------------------------------------------------------------------ */
 
-function SortableTile({
+const SortableTile = memo(function SortableTile({
   item,
   index,
+  columns,
+  ratio,
+  domCount,
+  proportional,
+  showColor,
+  mode,
+  overlayMode,
+  overlayAlpha,
+  linkTotal, // slices in the tile's linked group (0 = not linked)
+  linkAligned, // the group's seams line up in this layout
+  linkMoving, // another tile of the group is being dragged
+  postNumber, // planned posts: 1 = posted next (0 otherwise)
+  divider, // '' | 'top' | 'left' | 'top left': edges where the live feed starts
+  clash, // clashes with a neighbour (timeline)
+  harmony, // { right, bottom, mean } ΔE to the neighbours, when the harmony layer is on
+  harmonyLayer, // 'heatmap' | 'edges'
+  suggestion, // { rank, deltaE } when this cell is a suggested spot for the tile being placed
+  placing, // the newly imported tile suggestions are shown for
+  tone, // { target, deltaE, off } when the slot has a target tone
+  drift, // { deltaE, off } against the brand palette, when there is one
+  painting, // tone map painting: clicks / drags paint the slot instead
+  readOnly,
   onRemove,
-  overlay,
-  onClick,
-  dragListeners,
-  dragAttributes,
+  onOpen,
+  onPlace,
+  onPaint,
 }) {
-  const { setNodeRef, transform, transition, isDragging } = useSortable({
+  const {
+    setNodeRef,
+    attributes,
+    listeners,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({
     id: item.id,
+    disabled: readOnly || isLocked(item), // the live feed stays where it is
   })
+  const src = useTileImage(item)
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
@@ -132,31 +217,144 @@ function SortableTile({
   }
 
   return (
-    <div ref={setNodeRef} style={style} className="tile">
-      <button
-        className="tile-close"
-        onClick={() => onRemove(item.id)}
-        aria-label={`Remove item ${index + 1}`}
-      >
-        ×
-      </button>
+    <div
+      ref={setNodeRef}
+      style={style}
+      data-flip-id={item.id}
+      className={[
+        'tile',
+        linkMoving && 'is-linkMoving',
+        item.published && 'is-published',
+        clash && 'is-clash',
+        suggestion && 'is-suggested',
+        placing && 'is-placing',
+        painting && 'is-painting',
+        ...divider.split(' ').filter(Boolean).map(edge => `divider-${edge}`),
+      ].filter(Boolean).join(' ')}
+    >
+      {!readOnly && (
+        <button
+          className="tile-close"
+          onClick={() => onRemove(item.id)}
+          aria-label={`Remove item ${index + 1}`}
+        >
+          ×
+        </button>
+      )}
+      <div className="tile-badges">
+        {item.pinned && <span className="tile-badge" title="Pinned to the top of the profile">📌</span>}
+        {item.published && (
+          <span className="tile-badge" title={`Already published on the profile${isLocked(item) ? ' (locked)' : ''}`}>Live</span>
+        )}
+        {postNumber > 0 && (
+          <span className="tile-badge is-planned" title={`Planned: post ${postNumber === 1 ? 'this next' : `this ${ordinal(postNumber)}`}`}>
+            {postNumber === 1 ? 'Next' : `#${postNumber}`}
+          </span>
+        )}
+        {tone?.off && (
+          <span className="tile-badge is-mismatch" title={`Off target: ΔE ${Math.round(tone.deltaE)} from this slot's target tone`}>
+            ≠ {Math.round(tone.deltaE)}
+          </span>
+        )}
+        {drift?.off && (
+          <span className="tile-badge is-offbrand" title={`Off brand: ΔE ${Math.round(drift.deltaE)} from the brand palette`}>
+            Off-brand
+          </span>
+        )}
+        {linkTotal > 0 && (
+          <span
+            className={`tile-badge${linkAligned ? '' : ' is-broken'}`}
+            title={linkAligned
+              ? 'Linked slice: moves with its group'
+              : `Linked slice: the group no longer lines up (cut for ${item.group.columns} across, starting a row)`}
+          >
+            ⛓ {item.group.index + 1}/{linkTotal}
+          </span>
+        )}
+      </div>
       <div
         className="tile-imgWrap"
-        {...dragListeners}
-        {...dragAttributes}
+        {...attributes}
+        {...(painting ? paintHandlers(index, onPaint) : listeners)}
+        onKeyDown={(e) => {
+          listeners?.onKeyDown?.(e)
+          // Space picks the tile up (keyboard sensor); Enter opens it
+          if (e.key === 'Enter' && !e.defaultPrevented && !isDragging) onOpen(item)
+        }}
+        aria-label={`Tile ${index + 1}, ${cellLabel(index, columns)}`}
         style={{ touchAction: 'none' }}
       >
-        <img
-          src={item.img?.src}
-          alt={`Tile ${index + 1}`}
+        <CroppedImage
+          src={src}
+          crop={item.crop}
+          ratio={ratio}
+          alt=""
           className="tile-img"
           draggable={false}
-          onClick={onClick}
+          decoding="async"
+          onClick={() => onOpen(item)}
+        />
+        <TileOverlay
+          show={showColor}
+          mode={mode}
+          overlayMode={overlayMode}
+          alpha={overlayAlpha}
+          // Defensive normalization so older saved items still render
+          avg={avgColor(item)}
+          dom={paletteColors(item, domCount)}
+          weights={paletteWeights(item, domCount, proportional)}
         />
-        {overlay}
+        <HarmonyLayer layer={harmonyLayer} harmony={harmony} />
+        {painting && (
+          <div
+            className={`tile-target${tone ? '' : ' is-empty'}`}
+            style={tone ? { background: toRGB(tone.target) } : undefined}
+            aria-hidden="true"
+          />
+        )}
       </div>
+      {suggestion && (
+        <button
+          className="tile-suggest"
+          onClick={() => onPlace(item.id)}
+          title={`Move the new image here (average ΔE ${Math.round(suggestion.deltaE)} to its neighbours)`}
+        >
+          {placing ? `${suggestion.rank}. Best here` : `${suggestion.rank}. Place here`}
+        </button>
+      )}
     </div>
   )
+})
+
+/* ------------------------------------------------------------------ */
+/* Neighbour harmony layer                                             */
+/* ------------------------------------------------------------------ */
+
+// Heatmap: the tile tinted by its average ΔE to its neighbours.
+// Edges: a bar on the right / bottom edge per neighbour pair.
+function HarmonyLayer({ layer, harmony }) {
+  if (!harmony) return null
+  const { right, bottom, mean } = harmony
+
+  if (layer === 'heatmap') {
+    if (mean == null) return null
+    return (
+      <div className="tile-heat" style={{ background: heatColor(mean, 0.45) }} title={`Average ΔE to neighbours: ${Math.round(mean)}`}>
+        <span>ΔE {Math.round(mean)}</span>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      {right != null && (
+        <span className="tile-edge tile-edge--right" style={{ background: heatColor(right) }} title={`ΔE ${Math.round(right)} to the post on the right`} />
+      )}
+      {bottom != null && (
+        <span className="tile-edge tile-edge--bottom" style={{ background: heatColor(bottom) }} title={`ΔE ${Math.round(bottom)} to the post below`} />
+      )}
+    </>
+  )
 }
 
 /* ------------------------------------------------------------------ */
@@ -165,7 +363,24 @@ function SortableTile({
 
 export default function Grid({
   items,
-  setItems,
+  columns = GRID_COLUMNS,
+  aspect = DEFAULT_GRID_ASPECT,
+  domCount = 3,
+  proportional = false,
+  virtualize = true,
+  readOnly = false, // a preview (e.g. a timeline day): no reordering or removing
+  flagged = null, // Set of tile ids to mark as clashing
+  harmonyLayer = 'off', // 'off' | 'heatmap' | 'edges'
+  placingId = null, // newly imported tile being placed
+  suggested = null, // Map of tile id → { rank, deltaE }: cells suggested for it
+  onPlace, // (id of the tile whose cell it takes)
+  tones = null, // per slot: { target, deltaE, off } | null (target tone map)
+  painting = false, // tone map painting mode (implies readOnly)
+  onPaint, // (slot index)
+  brandReport = null, // Map of tile id → { deltaE, off } against the brand palette
+  onMove,
+  onMoveGroup,
+  onRemove,
   setActiveId,
   showColor,
   mode,
@@ -175,38 +390,92 @@ export default function Grid({
   onAddClick,
   onDropFiles,
 }) {
-  const [isDragging, setIsDragging] = useState(false)
+  const [dragId, setDragId] = useState(null)
+  const [dragOrder, setDragOrder] = useState(null) // where things would land if dropped now
+  const gridRef = useRef(null)
+  const groups = useMemo(() => groupStatus(items, columns), [items, columns])
+
+  // Neighbour ΔE for the layer and the score, following the drag as it happens
+  const showHarmony = harmonyLayer === 'heatmap' || harmonyLayer === 'edges'
+  const harmonyItems = dragOrder || items
+  const harmony = useMemo(
+    () => (showHarmony ? neighbourHarmony(harmonyItems, columns, domCount) : null),
+    [showHarmony, harmonyItems, columns, domCount]
+  )
+
+  // Stable callbacks keep memoized tiles from re-rendering on every parent render
+  const handlers = useRef({})
+  handlers.current = { onRemove, onTileClick, onPlace, onPaint, painting, dragging: dragId != null }
+  const removeTile = useCallback((id) => handlers.current.onRemove(id), [])
+  const placeTile = useCallback((id) => handlers.current.onPlace?.(id), [])
+  const paintSlot = useCallback((index) => handlers.current.onPaint?.(index), [])
+  const openTile = useCallback((item) => {
+    if (!handlers.current.dragging && !handlers.current.painting) handlers.current.onTileClick?.(item)
+  }, [])
+
+  // Only rows near the viewport are mounted; the rest are stood in for by spacers
+  const rows = rowCount(items.length, columns)
+  const { start, end, rowHeight, gap } = useVirtualRows(gridRef, {
+    rows,
+    columns,
+    aspect,
+    enabled: virtualize && items.length >= VIRTUALIZE_FROM,
+  })
+
+  // Previews (e.g. stepping through the timeline) slide tiles to their new cells
+  useFlipAnimation(gridRef, readOnly && !painting)
 
-  // Require a small movement before drag to avoid scroll conflicts
+  // Require a small movement before drag to avoid scroll conflicts.
+  // Keyboard: Space picks up, arrows move through the grid, Space/Enter drops, Escape cancels.
   const sensors = useSensors(
-    useSensor(PointerSensor, { activationConstraint: { distance: 4 } })
+    useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+      keyboardCodes: { start: ['Space'], cancel: ['Escape'], end: ['Space', 'Enter'] },
+    })
   )
 
   const handleDragStart = ({ active }) => {
-    setIsDragging(true)
+    setDragId(active.id)
     setActiveId?.(active.id)
   }
 
+  const handleDragOver = ({ active, over }) => {
+    if (!showHarmony) return
+    const plan = over && clampMove(items, planMove(items, active.id, over.id))
+    setDragOrder(plan ? applyMove(items, plan) : null)
+  }
+
+  // Linked groups move as one block and never get split by a drop; moves stay within
+  // the pinned or planned posts (the live feed is locked)
   const handleDragEnd = (e) => {
-    setIsDragging(false)
+    setDragId(null)
+    setDragOrder(null)
     const { active, over } = e
     if (!over || active.id === over.id) return
-    const oldIndex = items.findIndex((i) => i.id === active.id)
-    const newIndex = items.findIndex((i) => i.id === over.id)
-    if (oldIndex < 0 || newIndex < 0) return
-    setItems(arrayMove(items, oldIndex, newIndex))
+    const plan = clampMove(items, planMove(items, active.id, over.id))
+    if (!plan) return
+    if (plan.ids.length > 1) onMoveGroup(plan.ids, plan.from, plan.to)
+    else onMove(active.id, plan.from, plan.to)
   }
 
   const handleDragCancel = () => {
-    setIsDragging(false)
+    setDragId(null)
+    setDragOrder(null)
     setActiveId?.(null)
   }
 
-  const removeItem = (id) => setItems(items.filter((i) => i.id !== id))
+  if (!items.length && readOnly) {
+    return (
+      <section className="grid-wrap">
+        <div className="grid-empty"><p>No posts are live yet.</p></div>
+      </section>
+    )
+  }
 
-  const content = useMemo(() => {
-    if (!items.length) {
-      return (
+  if (!items.length) {
+    return (
+      <section className="grid-wrap">
         <div
           className="grid-empty"
           onDragOver={(e) => e.preventDefault()}
@@ -221,57 +490,142 @@ export default function Grid({
             Add Images
           </button>
         </div>
+      </section>
+    )
+  }
+
+  // The dragged tile stays mounted even when scrolled away, so dnd-kit can keep sorting it
+  const segments = [[start, end]]
+  const dragIndex = dragId == null ? -1 : items.findIndex((i) => i.id === dragId)
+  const dragGroup = items[dragIndex]?.group?.id
+  const dragRow = dragIndex < 0 ? -1 : Math.floor(dragIndex / columns)
+  if (dragRow >= 0 && (dragRow < start || dragRow >= end)) {
+    segments.push([dragRow, dragRow + 1])
+    segments.sort((a, b) => a[0] - b[0])
+  }
+
+  // Planned posts are numbered in posting order (the one just above the live feed goes
+  // first); a stepped line marks where the live feed starts
+  const { published: liveStart } = feedBounds(items)
+  const hasLive = liveStart > 0 && liveStart < items.length
+  const dividerAt = (idx) => {
+    if (!hasLive || idx < liveStart || !items[idx].published) return ''
+    const edges = []
+    if (idx - columns < 0 || !items[idx - columns].published) edges.push('top')
+    if (idx === liveStart && idx % columns) edges.push('left')
+    return edges.join(' ')
+  }
+
+  const ratio = aspectRatio(aspect)
+  const cells = []
+  let row = 0
+  for (const [from, to] of segments) {
+    if (from > row) cells.push(<RowSpacer key={`gap-${row}`} rows={from - row} rowHeight={rowHeight} gap={gap} />)
+    for (let idx = from * columns; idx < Math.min(items.length, to * columns); idx++) {
+      const item = items[idx]
+      const link = item.group && groups.get(item.group.id)
+      cells.push(
+        <SortableTile
+          key={item.id}
+          item={item}
+          index={idx}
+          columns={columns}
+          ratio={ratio}
+          domCount={domCount}
+          proportional={proportional}
+          showColor={showColor}
+          mode={mode}
+          overlayMode={overlayMode}
+          overlayAlpha={overlayAlpha}
+          linkTotal={link ? link.total : 0}
+          linkAligned={link ? link.aligned : true}
+          linkMoving={!!dragGroup && item.group?.id === dragGroup && item.id !== dragId}
+          postNumber={hasLive && !item.pinned && !item.published ? liveStart - idx : 0}
+          divider={dividerAt(idx)}
+          clash={!!flagged?.has(item.id)}
+          harmony={harmony?.byId.get(item.id)}
+          harmonyLayer={harmonyLayer}
+          suggestion={suggested?.get(item.id)}
+          placing={item.id === placingId}
+          tone={tones?.[idx] || null}
+          drift={brandReport?.get(item.id) || null}
+          painting={painting}
+          readOnly={readOnly || painting}
+          onRemove={removeTile}
+          onOpen={openTile}
+          onPlace={placeTile}
+          onPaint={paintSlot}
+        />
       )
     }
+    row = to
+  }
+  if (rows > row) cells.push(<RowSpacer key={`gap-${row}`} rows={rows - row} rowHeight={rowHeight} gap={gap} />)
 
-    return (
+  return (
+    <section className="grid-wrap">
+      {harmony && (
+        <p className="harmony-score" aria-live="polite">
+          Feed harmony <strong>{harmony.score}</strong>/100
+          {harmony.breaks > 0 && <span> · {harmony.breaks} hard {harmony.breaks === 1 ? 'break' : 'breaks'} between neighbours</span>}
+        </p>
+      )}
       <DndContext
         sensors={sensors}
         collisionDetection={closestCenter}
         onDragStart={handleDragStart}
+        onDragOver={handleDragOver}
         onDragEnd={handleDragEnd}
         onDragCancel={handleDragCancel}
+        accessibility={{
+          announcements: makeAnnouncements(items, columns),
+          screenReaderInstructions: SCREEN_READER_INSTRUCTIONS,
+        }}
       >
+        {/* Every id stays in the sortable list so indices match the full grid */}
         <SortableContext items={items.map((i) => i.id)} strategy={rectSortingStrategy}>
-          <div className="grid">
-            {items.map((raw, idx) => {
-              // Defensive normalization so older saved items still render
-              const avg = Array.isArray(raw.avg) ? raw.avg : FALLBACK
-              const dom = dom3(raw.dom, avg)
-              const item = { ...raw, avg, dom }
-
-              const overlay = (
-                <TileOverlay
-                  show={showColor}
-                  mode={mode}
-                  overlayMode={overlayMode}
-                  alpha={overlayAlpha}
-                  avg={item.avg}
-                  dom={item.dom}
-                />
-              )
-
-              return (
-                <SortableTile
-                  key={item.id}
-                  item={item}
-                  index={idx}
-                  onRemove={removeItem}
-                  overlay={overlay}
-                  onClick={() => {
-                    if (!isDragging) onTileClick?.(item)
-                  }}
-                  dragListeners={{}}
-                  dragAttributes={{}}
-                />
-              )
-            })}
+          <div
+            ref={gridRef}
+            className="grid"
+            style={{ '--grid-columns': columns, '--tile-aspect': aspectCSS(aspect) }}
+          >
+            {cells}
           </div>
         </SortableContext>
       </DndContext>
-    )
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [items, showColor, mode, overlayMode, overlayAlpha, isDragging])
+    </section>
+  )
+}
 
-  return <section className="grid-wrap">{content}</section>
+// Per tile id: ΔE to the right / lower neighbour and the average over all its neighbours;
+// plus the feed harmony score and the count of hard breaks
+function neighbourHarmony(items, columns, k) {
+  const pairs = neighbourDeltas(items, columns, k)
+  const byId = new Map(items.map(t => [t.id, { right: null, bottom: null, sum: 0, count: 0 }]))
+  for (const { a, b, dir, deltaE } of pairs) {
+    const first = byId.get(items[a].id)
+    const second = byId.get(items[b].id)
+    first[dir === 'h' ? 'right' : 'bottom'] = deltaE
+    first.sum += deltaE
+    first.count++
+    second.sum += deltaE
+    second.count++
+  }
+  for (const h of byId.values()) h.mean = h.count ? h.sum / h.count : null
+  return {
+    byId,
+    score: harmonyScore(pairs),
+    breaks: pairs.filter(p => p.deltaE >= HARMONY_BREAK).length,
+  }
+}
+
+// Stands in for `rows` unmounted rows (their heights plus the gaps between them)
+function RowSpacer({ rows, rowHeight, gap }) {
+  return (
+    <div
+      className="grid-spacer"
+      style={{ height: rows * rowHeight + (rows - 1) * gap }}
+      aria-hidden="true"
+    />
+  )
 }
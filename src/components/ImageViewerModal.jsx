@@ -1,6 +1,15 @@
-import React, { useCallback, useEffect, useMemo } from 'react'
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import Modal from '../Modal'
-import { OVERLAY_MODES } from '../constants'
+import { OVERLAY_MODES, GRID_ASPECTS, MAX_PINNED } from '../constants'
+import { cropRect, aspectRatio, normalizeAspect, normalizeCrop } from '../utils/gridLayout'
+import { paletteColors, paletteWeights, stripeGradient } from '../utils/palette'
+import { useMasterImage } from '../hooks/useMasterImage'
+import { useTileImage } from '../hooks/useTileImage'
+import { rgbToHex } from '../colorUtils'
+
+const MAX_ZOOM = 4
+const NO_CROP = { fx: 0.5, fy: 0.5, zoom: 1 }
+const clamp01 = (v) => Math.min(1, Math.max(0, v))
 
 export default function ImageViewerModal({
   open,
@@ -13,49 +22,137 @@ export default function ImageViewerModal({
   mode, setMode,
   overlayMode, setOverlayMode,
   overlayAlphaIdx, setOverlayAlphaIdx,
-  overlayAlphas
+  overlayAlphas,
+  aspect,
+  domCount = 3,
+  proportional = false,
+  onCropChange,
+  onFeedChange, // (id, { published } | { pinned })
+  brandReport = null, // Map of tile id → { deltaE, off, worst } against the brand palette
+  brandName = '',
 }) {
   const tile = items[index] || null
-  if (!open || !tile) return null // hard guard against out-of-range
+  const masterSrc = useMasterImage(tile) // full resolution while this tile is shown
+  const thumbSrc = useTileImage(tile) // shown until the master has loaded
+  const [showGuide, setShowGuide] = useState(true)
+  const [natural, setNatural] = useState(null) // { id, w, h } of the displayed image
+  const [cropDraft, setCropDraft] = useState(null) // { fx, fy, zoom } while editing, else null
+  const frameRef = useRef(null)
+  const dragRef = useRef(null)
+  const editing = !!cropDraft
 
   const overlayAlpha = overlayAlphas[overlayAlphaIdx]
-  const swatches = mode === 'average'
-    ? [tile.avg]
-    : (tile.dom?.length ? tile.dom : [tile.avg, tile.avg, tile.avg])
-  const tint = (mode === 'average' ? tile.avg : (tile.dom?.[0] || tile.avg))
+  const pinnedCount = items.filter(t => t.pinned).length
 
   const dominantGradient = useMemo(()=>{
-    const d = tile.dom && tile.dom.length ? tile.dom : [tile.avg, tile.avg, tile.avg]
-    const seg = (rgb) => `rgba(${rgb[0]},${rgb[1]},${rgb[2]},${overlayAlpha})`
-    return `linear-gradient(to bottom,
-      ${seg(d[0])} 0%, ${seg(d[0])} 33.333%,
-      ${seg(d[1]||d[0])} 33.333%, ${seg(d[1]||d[0])} 66.666%,
-      ${seg(d[2]||d[1]||d[0])} 66.666%, ${seg(d[2]||d[1]||d[0])} 100%)`
-  }, [tile.dom, tile.avg, overlayAlpha])
+    if (!tile) return null
+    const weights = paletteWeights(tile, domCount, proportional)
+    return stripeGradient(paletteColors(tile, domCount), overlayAlpha, 'to bottom', weights)
+  }, [tile, domCount, proportional, overlayAlpha])
 
   const prev = useCallback(() => setIndex(i => (i > 0 ? i - 1 : i)), [setIndex])
   const next = useCallback(() => setIndex(i => (i < items.length - 1 ? i + 1 : i)), [setIndex, items.length])
   const handleDelete = useCallback(() => onDeleteCurrent(index), [onDeleteCurrent, index])
 
-  // Keyboard navigation + close
+  // Keyboard navigation + close (arrows nudge the focal point while editing the crop)
   useEffect(() => {
     if (!open) return
     const onKey = (e) => {
       if (e.key === 'Escape') onClose?.()
+      else if (editing && e.key.startsWith('Arrow')) {
+        e.preventDefault()
+        const step = e.shiftKey ? 0.05 : 0.01
+        const dx = e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0
+        const dy = e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0
+        setCropDraft(c => c && { ...c, fx: clamp01(c.fx + dx), fy: clamp01(c.fy + dy) })
+      }
       else if (e.key === 'ArrowLeft') prev()
       else if (e.key === 'ArrowRight') next()
     }
     window.addEventListener('keydown', onKey)
     return () => window.removeEventListener('keydown', onKey)
-  }, [open, onClose, prev, next])
+  }, [open, onClose, prev, next, editing])
+
+  // Leaving a tile discards an unapplied crop
+  useEffect(() => { setCropDraft(null) }, [tile?.id])
+
+  if (!open || !tile) return null // hard guard against out-of-range
+
+  const swatches = mode === 'average' ? [tile.avg] : paletteColors(tile, domCount)
+  const tint = (mode === 'average' ? tile.avg : (tile.dom?.[0] || tile.avg))
+
+  // Part of the post the profile grid shows (tile crop, or centered cover to the tile shape)
+  const gridAspect = normalizeAspect(aspect)
+  const ratio = aspectRatio(gridAspect)
+  const size = natural?.id === tile.id ? natural : null
+  const crop = size ? cropRect(size.w, size.h, ratio, editing ? cropDraft : tile.crop) : null
+  const cropsSomething = crop && (crop.w < 0.999 || crop.h < 0.999)
+
+  // Keep the focal point where the crop window actually sits (it stops at the image edges)
+  const settle = (c) => {
+    if (!size) return c
+    const r = cropRect(size.w, size.h, ratio, c)
+    return { ...c, fx: r.x + r.w / 2, fy: r.y + r.h / 2 }
+  }
+
+  const startCrop = () => setCropDraft({ ...NO_CROP, ...tile.crop })
+  const applyCrop = () => {
+    onCropChange?.(tile.id, normalizeCrop(settle(cropDraft)))
+    setCropDraft(null)
+  }
+
+  // Drag inside the crop window to move it; press outside to jump the focal point there
+  const onFramePointerDown = (e) => {
+    if (!editing || !crop) return
+    const box = frameRef.current.getBoundingClientRect()
+    const px = (e.clientX - box.left) / box.width
+    const py = (e.clientY - box.top) / box.height
+    const inside = px >= crop.x && px <= crop.x + crop.w && py >= crop.y && py <= crop.y + crop.h
+    const start = inside
+      ? { fx: crop.x + crop.w / 2, fy: crop.y + crop.h / 2 }
+      : { fx: clamp01(px), fy: clamp01(py) }
+    setCropDraft(c => settle({ ...c, ...start }))
+    dragRef.current = { x: e.clientX, y: e.clientY, box, ...start }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+  const onFramePointerMove = (e) => {
+    const d = dragRef.current
+    if (!d) return
+    setCropDraft(c => c && settle({
+      ...c,
+      fx: clamp01(d.fx + (e.clientX - d.x) / d.box.width),
+      fy: clamp01(d.fy + (e.clientY - d.y) / d.box.height),
+    }))
+  }
+  const onFramePointerUp = () => { dragRef.current = null }
 
   return (
     <Modal open={open} onClose={onClose} title="Image Viewer">
       <div className="modal-header">
         <strong>Image Viewer</strong>
         <div style={{display:'inline-flex', gap:8}}>
-          <button className="btn" onClick={prev} disabled={index<=0} aria-label="Previous">←</button>
-          <button className="btn" onClick={next} disabled={index>=items.length-1} aria-label="Next">→</button>
+          <button className="btn" onClick={prev} disabled={index<=0 || editing} aria-label="Previous">←</button>
+          <button className="btn" onClick={next} disabled={index>=items.length-1 || editing} aria-label="Next">→</button>
+          {onFeedChange && tile && (
+            <>
+              <button
+                className="btn"
+                onClick={() => onFeedChange(tile.id, { published: !tile.published })}
+                disabled={editing}
+                title={tile.published ? 'Move back to the planned posts' : 'Lock as live on the profile'}
+              >
+                {tile.published ? 'Mark planned' : 'Mark published'}
+              </button>
+              <button
+                className="btn"
+                onClick={() => onFeedChange(tile.id, { pinned: !tile.pinned })}
+                disabled={editing || (!tile.pinned && pinnedCount >= MAX_PINNED)}
+                title={!tile.pinned && pinnedCount >= MAX_PINNED ? `Up to ${MAX_PINNED} posts can be pinned` : undefined}
+              >
+                {tile.pinned ? 'Unpin' : 'Pin'}
+              </button>
+            </>
+          )}
           <button className="btn btn-danger" onClick={handleDelete} aria-label="Delete image">Delete</button>
           <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
         </div>
@@ -69,10 +166,10 @@ export default function ImageViewerModal({
 
         <select className="select" value={mode} onChange={(e)=>setMode(e.target.value)} aria-label="Color mode">
           <option value="average">Average</option>
-          <option value="dominant">Dominant (3)</option>
+          <option value="dominant">Dominant ({domCount})</option>
         </select>
 
-        <select className="select" value={overlayMode} onChange={(e)=>setOverlayMode(e.target.value)} aria-label="Overlay mode" disabled={!showColor}>
+        <select className="select" value={overlayMode} onChange={(e)=>setOverlayMode(Number(e.target.value))} aria-label="Overlay mode" disabled={!showColor}>
           <option value={OVERLAY_MODES.DOT}>Dot</option>
           <option value={OVERLAY_MODES.HALF}>Half Overlay</option>
           <option value={OVERLAY_MODES.FULL}>Full Overlay</option>
@@ -100,30 +197,118 @@ export default function ImageViewerModal({
             <option value="4" label="85%"></option>
           </datalist>
         </div>
+
+        <div className="toggle">
+          <input id="viewer-guide" type="checkbox" checked={showGuide} onChange={(e)=>setShowGuide(e.target.checked)} />
+          <label htmlFor="viewer-guide">Grid crop guide ({GRID_ASPECTS[gridAspect].label})</label>
+        </div>
+
+        {editing ? (
+          <div className="viewer-cropControls">
+            <label htmlFor="viewer-zoom">Zoom</label>
+            <input
+              id="viewer-zoom"
+              type="range"
+              min="1"
+              max={MAX_ZOOM}
+              step="0.05"
+              value={cropDraft.zoom}
+              onChange={(e)=>setCropDraft(c => settle({ ...c, zoom: Number(e.target.value) }))}
+              aria-label="Crop zoom"
+            />
+            <button className="btn" onClick={()=>setCropDraft({ ...NO_CROP })}>Reset</button>
+            <button className="btn" onClick={()=>setCropDraft(null)}>Cancel</button>
+            <button className="btn primary" onClick={applyCrop} disabled={!size}>Apply crop</button>
+          </div>
+        ) : (
+          <button
+            className="btn"
+            onClick={startCrop}
+            disabled={!onCropChange || !!tile.group}
+            title={tile.group ? 'Linked slices keep their cut so the seams line up' : undefined}
+          >
+            {tile.crop ? 'Edit crop' : 'Crop / focal point'}
+          </button>
+        )}
       </div>
 
       <div className="modal-body modal-body--viewer">
         <div className="viewer-stage">
-          <img src={tile.img.src} alt="" className="viewer-img" />
-          {showColor && overlayMode === OVERLAY_MODES.HALF && (
-            mode === 'average'
-              ? <div className="viewer-overlay viewer-overlay--half" style={{ background: `rgba(${tint[0]},${tint[1]},${tint[2]},${overlayAlpha})` }} />
-              : <div className="viewer-overlay viewer-overlay--half" style={{ backgroundImage: dominantGradient }} />
-          )}
-          {showColor && overlayMode === OVERLAY_MODES.FULL && (
-            mode === 'average'
-              ? <div className="viewer-overlay viewer-overlay--full" style={{ background: `rgba(${tint[0]},${tint[1]},${tint[2]},${overlayAlpha})` }} />
-              : <div className="viewer-overlay viewer-overlay--full" style={{ backgroundImage: dominantGradient }} />
-          )}
-          {showColor && overlayMode === OVERLAY_MODES.DOT && (
-            <div className="viewer-dotbar">
-              {swatches.slice(0,3).map((rgb, i)=>(
-                <div key={i} className="viewer-dot" style={{background:`rgb(${rgb[0]},${rgb[1]},${rgb[2]})`}}/>
-              ))}
-            </div>
-          )}
+          <div
+            ref={frameRef}
+            className={`viewer-frame${editing ? ' is-editing' : ''}`}
+            onPointerDown={onFramePointerDown}
+            onPointerMove={onFramePointerMove}
+            onPointerUp={onFramePointerUp}
+            onPointerCancel={onFramePointerUp}
+          >
+            <img
+              src={masterSrc || thumbSrc || undefined}
+              alt=""
+              className="viewer-img"
+              draggable={false}
+              onLoad={(e)=>setNatural({ id: tile.id, w: e.currentTarget.naturalWidth, h: e.currentTarget.naturalHeight })}
+            />
+            {(editing || (showGuide && cropsSomething)) && crop && (
+              <div
+                className="viewer-cropGuide"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.w * 100}%`,
+                  height: `${crop.h * 100}%`,
+                }}
+                aria-hidden="true"
+              />
+            )}
+            {!editing && showColor && overlayMode === OVERLAY_MODES.HALF && (
+              mode === 'average'
+                ? <div className="viewer-overlay viewer-overlay--half" style={{ background: `rgba(${tint[0]},${tint[1]},${tint[2]},${overlayAlpha})` }} />
+                : <div className="viewer-overlay viewer-overlay--half" style={{ backgroundImage: dominantGradient }} />
+            )}
+            {!editing && showColor && overlayMode === OVERLAY_MODES.FULL && (
+              mode === 'average'
+                ? <div className="viewer-overlay viewer-overlay--full" style={{ background: `rgba(${tint[0]},${tint[1]},${tint[2]},${overlayAlpha})` }} />
+                : <div className="viewer-overlay viewer-overlay--full" style={{ backgroundImage: dominantGradient }} />
+            )}
+            {!editing && showColor && overlayMode === OVERLAY_MODES.DOT && (
+              <div className="viewer-dotbar">
+                {swatches.map((rgb, i)=>(
+                  <div key={i} className="viewer-dot" style={{background:`rgb(${rgb[0]},${rgb[1]},${rgb[2]})`}}/>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
+        {!editing && brandReport?.get(tile.id)?.off && (
+          <BrandNote drift={brandReport.get(tile.id)} name={brandName} />
+        )}
+        {editing ? (
+          <p className="viewer-cropNote">
+            Drag the box or click the subject to set the focal point; use Zoom to tighten the crop.
+            The grid, palette and export all use this crop.
+          </p>
+        ) : showGuide && crop && (
+          <p className="viewer-cropNote">
+            {cropsSomething
+              ? `Shaded areas are hidden in the ${GRID_ASPECTS[gridAspect].label} profile grid but visible in the full post.`
+              : `The whole image shows in the ${GRID_ASPECTS[gridAspect].label} profile grid.`}
+          </p>
+        )}
       </div>
     </Modal>
   )
 }
+
+// Why the shown tile is flagged: its drift and the color furthest from the palette
+function BrandNote({ drift, name }) {
+  const { color, brand, deltaE } = drift.worst
+  return (
+    <p className="viewer-brandNote">
+      <strong>Off brand</strong> — ΔE {Math.round(drift.deltaE)} from {name ? `“${name}”` : 'the brand palette'}.{' '}
+      Furthest off:{' '}
+      <span className="tonemap-swatch" style={{ background: rgbToHex(color) }} /> {rgbToHex(color)}, ΔE {Math.round(deltaE)} from{' '}
+      <span className="tonemap-swatch" style={{ background: rgbToHex(brand) }} /> {rgbToHex(brand)}
+    </p>
+  )
+}
@@ -0,0 +1,45 @@
+// Import progress bar (n of N, current file, Cancel) and the dismissable end-of-import
+// report listing skipped files with the reason for each.
+
+import React from 'react'
+
+export default function ImportStatus({ progress, report, onCancel, onDismiss }) {
+  if (progress) {
+    const { done, total, current } = progress
+    return (
+      <div className="import-status" role="status" aria-live="polite">
+        <div className="import-status-head">
+          <span>
+            Importing {done} of {total}
+            {current && <span className="import-file"> · {current}</span>}
+          </span>
+          <button className="btn" onClick={onCancel}>Cancel</button>
+        </div>
+        <progress className="import-progress" value={done} max={total} />
+      </div>
+    )
+  }
+
+  if (!report) return null
+  const { added, total, cancelled, skipped } = report
+  return (
+    <div className="import-status import-report" role="alert">
+      <div className="import-status-head">
+        <strong>
+          {cancelled ? 'Import cancelled' : 'Import finished'}: {added} of {total} added
+          {skipped.length > 0 && `, ${skipped.length} skipped`}
+        </strong>
+        <button className="btn" onClick={onDismiss} aria-label="Dismiss import report">Dismiss</button>
+      </div>
+      {skipped.length > 0 && (
+        <ul className="import-skipped">
+          {skipped.map((s, i) => (
+            <li key={i}>
+              <span className="import-file">{s.name}</span> — {s.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -1,34 +1,83 @@
-// Palette sidebar mirrors the grid order (3 columns).
-// Shows either a single fill (average) or three stripes (dominant).
+// Palette sidebar mirrors the grid order and column count.
+// Shows either a single fill (average) or one stripe per dominant color (sized by
+// coverage in proportional mode), plus each row's overall tone next to it. Slots with a
+// target tone show it in a corner, and tiles off target are marked.
 
 import React from 'react'
+import { GRID_COLUMNS, DEFAULT_GRID_ASPECT } from '../constants'
+import { toRows, aspectCSS } from '../utils/gridLayout'
+import { paletteColors, paletteWeights } from '../utils/palette'
+
+const rgb = (c) => `rgb(${c[0]},${c[1]},${c[2]})`
+
+// Mean of the tiles' average colors
+function rowTone(row) {
+  const sum = [0, 0, 0]
+  for (const it of row) for (let i = 0; i < 3; i++) sum[i] += it.avg[i]
+  return sum.map(v => Math.round(v / row.length))
+}
+
+export default function PaletteSidebar({
+  open,
+  items,
+  mode,
+  domCount = 3,
+  proportional = false,
+  columns = GRID_COLUMNS,
+  aspect = DEFAULT_GRID_ASPECT,
+  tones = null, // per slot: { target, deltaE, off } | null (target tone map)
+}) {
+  const rows = toRows(items, columns)
 
-export default function PaletteSidebar({ open, items, mode }) {
   return (
     <aside className={`sidebar ${open ? 'open' : ''}`} aria-hidden={!open}>
       <div className="sidebarHeader">
         <strong>Palette</strong>
         <span style={{ opacity: 0.6, fontSize: 12 }}>
-          {mode === 'average' ? 'Average' : 'Dominant (3)'}
+          {mode === 'average' ? 'Average' : `Dominant (${domCount})`} · {columns} across
         </span>
       </div>
 
-      <div className="palette3">
-        {items.map((it, i) => (
-          <div key={it.id} className="palette-cell" title={`#${i + 1}`}>
-            <div className="pal-index">{i + 1}</div>
-            {mode === 'average' ? (
-              <div
-                className="palette-fill"
-                style={{ background: `rgb(${it.avg[0]},${it.avg[1]},${it.avg[2]})` }}
-              />
-            ) : (
-              <>
-                <div className="palette-stripe" style={{ background: `rgb(${(it.dom[0] || it.avg)[0]},${(it.dom[0] || it.avg)[1]},${(it.dom[0] || it.avg)[2]})` }} />
-                <div className="palette-stripe" style={{ background: `rgb(${(it.dom[1] || it.avg)[0]},${(it.dom[1] || it.avg)[1]},${(it.dom[1] || it.avg)[2]})` }} />
-                <div className="palette-stripe" style={{ background: `rgb(${(it.dom[2] || it.avg)[0]},${(it.dom[2] || it.avg)[1]},${(it.dom[2] || it.avg)[2]})` }} />
-              </>
-            )}
+      <div className="palette-rows">
+        {rows.map((row, r) => (
+          <div key={r} className="palette-row">
+            <div
+              className="palette3"
+              style={{ '--grid-columns': columns, '--tile-aspect': aspectCSS(aspect) }}
+            >
+              {row.map((it, c) => {
+                const i = r * columns + c
+                const weights = mode === 'average' ? null : paletteWeights(it, domCount, proportional)
+                const tone = tones?.[i]
+                return (
+                  <div
+                    key={it.id}
+                    className={`palette-cell${tone?.off ? ' is-mismatch' : ''}`}
+                    title={tone ? `#${i + 1} · ΔE ${Math.round(tone.deltaE)} from target${tone.off ? ' (off target)' : ''}` : `#${i + 1}`}
+                  >
+                    <div className="pal-index">{i + 1}</div>
+                    {tone && <div className="pal-target" style={{ background: rgb(tone.target) }} />}
+                    {mode === 'average' ? (
+                      <div className="palette-fill" style={{ background: rgb(it.avg) }} />
+                    ) : (
+                      paletteColors(it, domCount).map((c, s) => (
+                        <div
+                          key={s}
+                          className="palette-stripe"
+                          style={{ background: rgb(c), flex: weights[s] }}
+                          title={`${Math.round(weights[s] * 100)}%`}
+                        />
+                      ))
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+            <div
+              className="palette-rowTone"
+              style={{ background: rgb(rowTone(row)) }}
+              title={`Row ${r + 1} tone`}
+            />
           </div>
         ))}
       </div>
@@ -0,0 +1,37 @@
+// Placement suggestions after an import: names the new image being placed while the
+// grid marks the cells where its colors blend in best (see utils/placement). Several
+// new images are placed one after another.
+
+import React from 'react'
+import CroppedImage from './CroppedImage.jsx'
+import { useTileImage } from '../hooks/useTileImage'
+
+export default function PlacementBar({
+  tile, // the new tile being placed
+  ratio,
+  remaining, // new tiles still to place, this one included
+  best, // ΔE of the best suggested cell
+  onSkip, // leave this one where it is, go to the next
+  onDone, // leave the rest where they are
+}) {
+  const src = useTileImage(tile)
+
+  return (
+    <div className="placement" role="group" aria-label="Place the new image">
+      <div className="placement-thumb" style={{ aspectRatio: ratio }}>
+        <CroppedImage src={src} crop={tile.crop} ratio={ratio} alt="" className="tile-img" draggable={false} />
+      </div>
+      <p className="placement-note">
+        <strong>Where does it fit?</strong>{' '}
+        The numbered cells are where its colors blend in best with the posts around it
+        (best: ΔE {Math.round(best)}). Click one to move it there.
+      </p>
+      <div className="placement-actions">
+        {remaining > 1 && <button className="btn" onClick={onSkip}>Next image ({remaining - 1} more)</button>}
+        <button className="btn" onClick={remaining > 1 ? onDone : onSkip}>
+          {remaining > 1 ? 'Keep all where they are' : 'Keep it at the top'}
+        </button>
+      </div>
+    </div>
+  )
+}
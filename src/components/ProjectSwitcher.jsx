@@ -0,0 +1,92 @@
+// Project switcher: pick the active board, create/rename/duplicate/delete boards, and
+// export/open them as .gridtone project files.
+
+import React, { useRef } from 'react'
+import { PROJECT_FILE_EXTENSION } from '../state/projectFile'
+
+function askName(label, initial) {
+  const name = window.prompt(label, initial)
+  return name && name.trim() ? name.trim() : null
+}
+
+export default function ProjectSwitcher({
+  projects,
+  activeProjectId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onExport,
+  onOpen,
+}) {
+  const active = projects.find(p => p.id === activeProjectId)
+  const fileInputRef = useRef(null)
+
+  const handleCreate = () => {
+    const name = askName('Name for the new board', 'Untitled board')
+    if (name) onCreate(name)
+  }
+
+  const handleRename = () => {
+    if (!active) return
+    const name = askName('Rename board', active.name)
+    if (name && name !== active.name) onRename(active.id, name)
+  }
+
+  const handleDuplicate = () => {
+    if (!active) return
+    const name = askName('Name for the copy', `${active.name} copy`)
+    if (name) onDuplicate(active.id, name)
+  }
+
+  const handleDelete = () => {
+    if (!active) return
+    if (window.confirm(`Delete “${active.name}” and all of its tiles? This cannot be undone.`)) {
+      onDelete(active.id)
+    }
+  }
+
+  const handleOpenFile = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // allow re-opening the same file
+    if (file) onOpen(file)
+  }
+
+  return (
+    <div className="project-switcher">
+      <select
+        value={activeProjectId || ''}
+        onChange={(e) => onSwitch(e.target.value)}
+        aria-label="Project board"
+        disabled={!projects.length}
+      >
+        {projects.map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+      <button className="btn" onClick={handleCreate}>New</button>
+      <button className="btn" onClick={handleRename} disabled={!active}>Rename</button>
+      <button className="btn" onClick={handleDuplicate} disabled={!active}>Duplicate</button>
+      <button className="btn" onClick={handleDelete} disabled={!active}>Delete</button>
+      <button
+        className="btn"
+        onClick={() => onExport(active.id)}
+        disabled={!active}
+        title={`Save this board as a ${PROJECT_FILE_EXTENSION} project file`}
+      >
+        Export Project
+      </button>
+      <button className="btn" onClick={() => fileInputRef.current?.click()} title="Open a project file as a new board">
+        Open Project…
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={`${PROJECT_FILE_EXTENSION},application/zip`}
+        onChange={handleOpenFile}
+        hidden
+      />
+    </div>
+  )
+}
@@ -0,0 +1,193 @@
+// Profile screenshot import: finds the post grid in a screenshot of the live profile
+// (gutters and tile boundaries, see utils/gridDetect), lets the user correct it, and
+// hands back one rectangle per post so each becomes a published tile.
+
+import React, { useEffect, useState } from 'react'
+import Modal from '../Modal'
+import { IMPORT_TYPES, GRID_COLUMN_OPTIONS } from '../constants'
+import { aspectRatio } from '../utils/gridLayout'
+import { detectProfileGrid, profileCells, tileWidth } from '../utils/gridDetect'
+
+const DETECT_MAX_WIDTH = 1400 // px; larger screenshots are scanned downscaled
+
+export default function ScreenshotImportDialog({
+  open,
+  onClose,
+  columns: boardColumns,
+  aspect,
+  onImport, // ({ file, rects }) => Promise
+}) {
+  const [file, setFile] = useState(null)
+  const [src, setSrc] = useState(null)
+  const [size, setSize] = useState(null) // screenshot { w, h }
+  const [layout, setLayout] = useState(null) // { columns, rows, left, top, gutter, tileH } in screenshot px
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    setSrc(url)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const detect = async (next, columns) => {
+    setError(null)
+    try {
+      const found = await detectInFile(next, { columns, fallbackRatio: aspectRatio(aspect) })
+      setSize(found.size)
+      setLayout(found.layout)
+    } catch (e) {
+      console.error('Screenshot detection failed', e)
+      setError('That image could not be read.')
+    }
+  }
+
+  const chooseFile = (e) => {
+    const next = e.target.files?.[0]
+    e.target.value = ''
+    if (!next) return
+    setFile(next)
+    setSize(null)
+    setLayout(null)
+    detect(next, boardColumns)
+  }
+
+  const cells = layout && size ? profileCells(layout, size.w, size.h, 0) : []
+  const tileW = layout && size ? tileWidth(size.w, layout.columns, layout.left, layout.gutter) : 0
+  const adjust = (key) => (e) => setLayout(l => ({ ...l, [key]: Number(e.target.value) }))
+
+  const handleImport = async () => {
+    if (!cells.length) return
+    setBusy(true)
+    setError(null)
+    try {
+      await onImport({ file, rects: profileCells(layout, size.w, size.h) })
+      onClose()
+    } catch (e) {
+      console.error('Screenshot import failed', e)
+      setError(e.message || 'Import failed. Try a different screenshot.')
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} title="Import profile screenshot">
+      <div className="modal-header">
+        <strong>Import profile screenshot</strong>
+        <button className="modal-close" onClick={onClose} disabled={busy} aria-label="Close">×</button>
+      </div>
+
+      <div className="modal-controls slice-controls">
+        <label className="btn">
+          {file ? 'Choose another screenshot…' : 'Choose screenshot…'}
+          <input type="file" accept={IMPORT_TYPES.join(',')} onChange={chooseFile} hidden disabled={busy} />
+        </label>
+
+        {layout && (
+          <>
+            <label>
+              <span>Columns</span>
+              <select
+                value={layout.columns}
+                onChange={(e) => detect(file, Number(e.target.value))}
+                disabled={busy}
+              >
+                {GRID_COLUMN_OPTIONS.map(n => <option key={n} value={n}>{n} across</option>)}
+              </select>
+            </label>
+            <label>
+              <span>Rows</span>
+              <input type="number" min="1" max="50" value={layout.rows} onChange={adjust('rows')} disabled={busy} />
+            </label>
+            <label>
+              <span>Top {Math.round(layout.top)}px</span>
+              <input type="range" min="0" max={size.h} step="1" value={layout.top} onChange={adjust('top')} disabled={busy} />
+            </label>
+            <label>
+              <span>Row height {Math.round(layout.tileH)}px</span>
+              <input
+                type="range" min={Math.round(tileW * 0.5)} max={Math.round(tileW * 2)} step="1"
+                value={layout.tileH}
+                onChange={adjust('tileH')}
+                disabled={busy}
+              />
+            </label>
+            <label>
+              <span>Gutter {layout.gutter}px</span>
+              <input
+                type="range" min="0" max={Math.round(size.w * 0.03)} step="1"
+                value={layout.gutter}
+                onChange={adjust('gutter')}
+                disabled={busy}
+              />
+            </label>
+            <label>
+              <span>Side margin {layout.left}px</span>
+              <input
+                type="range" min="0" max={Math.round(size.w * 0.1)} step="1"
+                value={layout.left}
+                onChange={adjust('left')}
+                disabled={busy}
+              />
+            </label>
+            <button className="btn" onClick={() => detect(file, layout.columns)} disabled={busy}>Detect again</button>
+          </>
+        )}
+      </div>
+
+      <div className="modal-body slice-body">
+        {src && size ? (
+          <div
+            className="slice-preview"
+            style={{ aspectRatio: `${size.w} / ${size.h}`, width: `min(100%, ${65 * (size.w / size.h)}vh)` }}
+          >
+            <img src={src} alt="Profile screenshot" className="shot-image" />
+            {cells.map((r, i) => (
+              <div
+                key={i}
+                className="shot-cell"
+                style={{ left: `${r.x * 100}%`, top: `${r.y * 100}%`, width: `${r.w * 100}%`, height: `${r.h * 100}%` }}
+              >
+                <span className="slice-number">{i + 1}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="export-note">
+            Choose a screenshot of your profile grid. The posts it shows are found automatically
+            (adjust the outline if needed) and added after your planned posts, marked as published.
+          </p>
+        )}
+        {error && <p className="export-error">{error}</p>}
+        <div className="export-footer">
+          <span className="export-note">{cells.length ? `${cells.length} posts found` : ''}</span>
+          <button className="btn primary" onClick={handleImport} disabled={busy || !cells.length}>
+            {busy ? 'Importing…' : cells.length ? `Import ${cells.length} posts` : 'Import posts'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+// Decode the screenshot, scan a (downscaled) copy, and scale the layout back up
+async function detectInFile(file, options) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  try {
+    const scale = Math.min(1, DETECT_MAX_WIDTH / bitmap.width)
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(bitmap.width * scale)
+    canvas.height = Math.round(bitmap.height * scale)
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+    const found = detectProfileGrid(ctx.getImageData(0, 0, canvas.width, canvas.height), options)
+    const px = (v) => Math.round(v / scale)
+    return {
+      size: { w: bitmap.width, h: bitmap.height },
+      layout: { ...found, left: px(found.left), top: px(found.top), gutter: px(found.gutter), tileH: px(found.tileH) },
+    }
+  } finally {
+    bitmap.close?.()
+  }
+}
@@ -0,0 +1,198 @@
+// Panorama / puzzle import: spread one large image over whole rows of the current
+// layout. The preview shades the strips that fall behind the grid gutters, so the
+// slice lines show exactly what each post will contain.
+
+import React, { useEffect, useState } from 'react'
+import Modal from '../Modal'
+import { IMPORT_TYPES } from '../constants'
+import { sliceRects, aspectRatio } from '../utils/gridLayout'
+
+const MAX_ROWS = 8
+const MAX_GUTTER = 64 // px at the export tile width
+
+export default function SliceImportDialog({
+  open,
+  onClose,
+  columns,
+  aspect,
+  tileSize, // export tile width the gutter is measured against
+  spacing, // export spacing: default gutter, so exported seams line up
+  onSlice, // ({ file, rows, gutter, rects }) => Promise
+}) {
+  const [file, setFile] = useState(null)
+  const [src, setSrc] = useState(null)
+  const [size, setSize] = useState(null) // natural { w, h } once the preview loads
+  const [rows, setRows] = useState(1)
+  const [gutterPx, setGutterPx] = useState(Math.min(MAX_GUTTER, spacing))
+  const [position, setPosition] = useState(0.5)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    setSrc(url)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const gutter = gutterPx / tileSize
+  const tileH = 1 / aspectRatio(aspect)
+  const blockW = columns + (columns - 1) * gutter
+  const blockH = rows * tileH + (rows - 1) * gutter
+  const layout = size ? sliceRects(size.w, size.h, { rows, columns, aspect, gutter, position }) : null
+  // Room to slide the crop along one axis (the other is filled edge to edge)
+  const slack = layout ? (layout.block.w < 0.999 ? 'horizontal' : layout.block.h < 0.999 ? 'vertical' : null) : null
+
+  const chooseFile = (e) => {
+    const next = e.target.files?.[0]
+    e.target.value = ''
+    if (!next) return
+    setFile(next)
+    setSize(null)
+    setPosition(0.5)
+    setError(null)
+  }
+
+  const onLoad = (e) => {
+    const { naturalWidth: w, naturalHeight: h } = e.currentTarget
+    if (size?.w === w && size?.h === h) return
+    setSize({ w, h })
+    setRows(fitRows(w, h, { columns, tileH, gutter }))
+  }
+
+  const handleSlice = async () => {
+    if (!file || !layout) return
+    setBusy(true)
+    setError(null)
+    try {
+      await onSlice({ file, rows, gutter, rects: layout.cells })
+      onClose()
+    } catch (e) {
+      console.error('Slicing failed', e)
+      setError(e.message || 'Slicing failed. Try a different image.')
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} title="Slice a panorama">
+      <div className="modal-header">
+        <strong>Slice a panorama</strong>
+        <button className="modal-close" onClick={onClose} disabled={busy} aria-label="Close">×</button>
+      </div>
+
+      <div className="modal-controls slice-controls">
+        <label className="btn">
+          {file ? 'Choose another image…' : 'Choose image…'}
+          <input type="file" accept={IMPORT_TYPES.join(',')} onChange={chooseFile} hidden disabled={busy} />
+        </label>
+
+        <label>
+          <span>Rows</span>
+          <select value={rows} onChange={(e) => setRows(Number(e.target.value))} disabled={busy}>
+            {Array.from({ length: MAX_ROWS }, (_, i) => i + 1).map(n => (
+              <option key={n} value={n}>{n} × {columns} = {n * columns} posts</option>
+            ))}
+          </select>
+        </label>
+
+        <label title={`Gap between posts at the ${tileSize}px export tile width; the image behind it is skipped`}>
+          <span>Gutter {gutterPx}px</span>
+          <input
+            type="range" min="0" max={MAX_GUTTER} step="1"
+            value={gutterPx}
+            onChange={(e) => setGutterPx(Number(e.target.value))}
+            disabled={busy}
+          />
+        </label>
+
+        {slack && (
+          <label>
+            <span>{slack === 'horizontal' ? 'Left ↔ right' : 'Top ↕ bottom'}</span>
+            <input
+              type="range" min="0" max="1" step="0.01"
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              disabled={busy}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="modal-body slice-body">
+        {src ? (
+          <div
+            className="slice-preview"
+            style={{ aspectRatio: `${blockW} / ${blockH}`, width: `min(100%, ${60 * (blockW / blockH)}vh)` }}
+          >
+            <img
+              src={src}
+              alt="Panorama preview"
+              className="slice-image"
+              style={layout ? blockStyle(layout.block) : { visibility: 'hidden' }}
+              onLoad={onLoad}
+              onError={() => setError('That image could not be read.')}
+            />
+            {Array.from({ length: columns - 1 }, (_, c) => (
+              <div
+                key={`c${c}`}
+                className="slice-gutter slice-gutter--v"
+                style={{ left: `${(((c + 1) * (1 + gutter) - gutter) / blockW) * 100}%`, width: `${(gutter / blockW) * 100}%` }}
+              />
+            ))}
+            {Array.from({ length: rows - 1 }, (_, r) => (
+              <div
+                key={`r${r}`}
+                className="slice-gutter slice-gutter--h"
+                style={{ top: `${(((r + 1) * (tileH + gutter) - gutter) / blockH) * 100}%`, height: `${(gutter / blockH) * 100}%` }}
+              />
+            ))}
+            {Array.from({ length: rows * columns }, (_, i) => (
+              <span
+                key={i}
+                className="slice-number"
+                style={{
+                  left: `${(((i % columns) * (1 + gutter)) / blockW) * 100}%`,
+                  top: `${((Math.floor(i / columns) * (tileH + gutter)) / blockH) * 100}%`,
+                }}
+              >
+                {i + 1}
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p className="export-note">
+            Choose one large image to spread over whole rows of your {columns}-across grid.
+            The slices are added at the top as a linked group that moves as one.
+          </p>
+        )}
+        {error && <p className="export-error">{error}</p>}
+        <div className="export-footer">
+          <span className="export-note">
+            {size ? `${rows * columns} posts · ${rows} ${rows === 1 ? 'row' : 'rows'} of ${columns}` : ''}
+          </span>
+          <button className="btn primary" onClick={handleSlice} disabled={busy || !layout}>
+            {busy ? 'Slicing…' : 'Slice & insert'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+// Positions the image so the cropped block fills the preview box
+function blockStyle(b) {
+  return {
+    width: `${100 / b.w}%`,
+    height: `${100 / b.h}%`,
+    left: `${(-b.x / b.w) * 100}%`,
+    top: `${(-b.y / b.h) * 100}%`,
+  }
+}
+
+// Row count whose block shape is closest to the image's
+function fitRows(iw, ih, { columns, tileH, gutter }) {
+  const blockW = columns + (columns - 1) * gutter
+  const rows = Math.round((blockW * (ih / iw) + gutter) / (tileH + gutter))
+  return Math.min(MAX_ROWS, Math.max(1, rows))
+}
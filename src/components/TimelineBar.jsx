@@ -0,0 +1,107 @@
+// Timeline: step through the plan post by post and see the grid as followers will on
+// each posting day (one planned post a day), or play the days through while the grid
+// slides into each new layout. Optionally lists the days where neighbouring tiles
+// clash, so a layout that only works once complete stands out.
+
+import React, { useEffect, useState } from 'react'
+
+const PLAY_INTERVAL = 1200 // ms per day while playing
+
+export default function TimelineBar({
+  step,
+  steps, // planned posts still to go out
+  onStep,
+  flagClashes,
+  onFlagClashes,
+  clashSteps, // steps with at least one clashing pair (when flagging)
+  clashCount, // clashing pairs at the current step
+  onClose,
+}) {
+  const [playing, setPlaying] = useState(false)
+  const dayLabel = (s) => (s === 0 ? 'Today' : `Day ${s}`)
+
+  // Advance a day at a time; stops on the finished plan
+  useEffect(() => {
+    if (!playing) return
+    if (step >= steps) {
+      setPlaying(false)
+      return
+    }
+    const timer = setTimeout(() => onStep(step + 1), PLAY_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [playing, step, steps])
+
+  const togglePlay = () => {
+    if (!playing && step >= steps) onStep(0) // replay from today
+    setPlaying(p => !p)
+  }
+
+  return (
+    <div className="timeline" role="group" aria-label="Posting timeline">
+      <div className="timeline-head">
+        <strong>{dayLabel(step)}</strong>
+        <span className="timeline-note">
+          {step === 0
+            ? 'The live feed as it is now'
+            : `After post ${step} of ${steps}${step === steps ? ' — the finished plan' : ''}`}
+        </span>
+        <button className="modal-close" onClick={onClose} aria-label="Close timeline">×</button>
+      </div>
+
+      <div className="timeline-controls">
+        <button
+          className={`btn${playing ? ' is-active' : ''}`}
+          onClick={togglePlay}
+          disabled={!steps}
+          aria-pressed={playing}
+          aria-label={playing ? 'Pause' : 'Play the posting days'}
+        >
+          {playing ? '❚❚ Pause' : '▶ Play'}
+        </button>
+        <button className="btn" onClick={() => onStep(step - 1)} disabled={step <= 0} aria-label="Previous day">←</button>
+        <input
+          type="range"
+          min="0"
+          max={steps}
+          step="1"
+          value={step}
+          onChange={(e) => onStep(Number(e.target.value))}
+          list="timeline-clashes"
+          aria-label="Posting day"
+          aria-valuetext={dayLabel(step)}
+          disabled={!steps}
+        />
+        <datalist id="timeline-clashes">
+          {clashSteps.map(s => <option key={s} value={s} />)}
+        </datalist>
+        <button className="btn" onClick={() => onStep(step + 1)} disabled={step >= steps} aria-label="Next day">→</button>
+
+        <label className="check">
+          <input type="checkbox" checked={flagClashes} onChange={(e) => onFlagClashes(e.target.checked)} />
+          <span>Flag clashes</span>
+        </label>
+      </div>
+
+      {flagClashes && (
+        <div className="timeline-clashes">
+          {clashSteps.length ? (
+            <>
+              <span>{clashCount ? `${clashCount} clashing ${clashCount === 1 ? 'pair' : 'pairs'} on this day.` : 'No clashes on this day.'} Clashes on:</span>
+              {clashSteps.map(s => (
+                <button
+                  key={s}
+                  className={`timeline-chip${s === step ? ' is-current' : ''}`}
+                  onClick={() => onStep(s)}
+                >
+                  {dayLabel(s)}
+                </button>
+              ))}
+            </>
+          ) : (
+            <span>No neighbouring tiles clash on any day.</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+// Target tone map tools: pick a brush color (or the eraser) and paint it onto grid
+// slots by clicking or dragging across tiles, or fill the grid with a gradient.
+// Tiles far from their slot's target get a mismatch badge (see utils/toneMap).
+
+import React, { useState } from 'react'
+import { rgbToHex, hexToRgb } from '../colorUtils'
+import { TONE_PRESETS, GRADIENT_DIRECTIONS, TONE_TOLERANCE } from '../utils/toneMap'
+
+export default function ToneMapBar({
+  brush, // [r, g, b], or null for the eraser
+  onBrush,
+  targetCount, // slots with a target
+  offCount, // tiles off their slot's target
+  onGradient, // (from, to, direction)
+  onClear,
+  onClose,
+}) {
+  const [from, setFrom] = useState(rgbToHex(TONE_PRESETS.Warm))
+  const [to, setTo] = useState(rgbToHex(TONE_PRESETS.Cool))
+  const [direction, setDirection] = useState('rows')
+  const brushHex = rgbToHex(brush || TONE_PRESETS.Neutral)
+
+  return (
+    <div className="tonemap" role="group" aria-label="Target tone map">
+      <div className="timeline-head">
+        <strong>Tone map</strong>
+        <span className="timeline-note">
+          {targetCount
+            ? offCount
+              ? `${offCount} ${offCount === 1 ? 'post is' : 'posts are'} off target (ΔE over ${TONE_TOLERANCE})`
+              : 'Every post matches its target'
+            : 'Paint a target color onto slots: click or drag across tiles'}
+        </span>
+        <button className="modal-close" onClick={onClose} aria-label="Close tone map">×</button>
+      </div>
+
+      <div className="timeline-controls">
+        <label className="tonemap-brush" title="Brush color">
+          <input type="color" value={brushHex} onChange={(e) => onBrush(hexToRgb(e.target.value))} aria-label="Brush color" />
+        </label>
+        {Object.entries(TONE_PRESETS).map(([name, rgb]) => (
+          <button
+            key={name}
+            className={`btn tonemap-preset${brush && rgbToHex(brush) === rgbToHex(rgb) ? ' is-active' : ''}`}
+            onClick={() => onBrush(rgb)}
+          >
+            <span className="tonemap-swatch" style={{ background: rgbToHex(rgb) }} /> {name}
+          </button>
+        ))}
+        <button className={`btn${brush ? '' : ' is-active'}`} onClick={() => onBrush(null)} aria-pressed={!brush}>
+          Eraser
+        </button>
+        <button className="btn" onClick={onClear} disabled={!targetCount}>Clear all</button>
+      </div>
+
+      <div className="timeline-controls">
+        <span className="timeline-note">Gradient</span>
+        <input type="color" value={from} onChange={(e) => setFrom(e.target.value.toUpperCase())} aria-label="Gradient start" />
+        <span aria-hidden="true">→</span>
+        <input type="color" value={to} onChange={(e) => setTo(e.target.value.toUpperCase())} aria-label="Gradient end" />
+        <select value={direction} onChange={(e) => setDirection(e.target.value)} aria-label="Gradient direction">
+          {Object.entries(GRADIENT_DIRECTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button className="btn" onClick={() => onGradient(hexToRgb(from), hexToRgb(to), direction)}>Apply gradient</button>
+      </div>
+    </div>
+  )
+}
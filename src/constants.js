@@ -2,6 +2,36 @@
 
 export const STORAGE_KEY = 'gridtone:v1'
 export const GRID_COLUMNS = 3
+export const GRID_COLUMN_OPTIONS = [2, 3, 4, 5]
+
+// Tile shapes for the profile grid (width : height)
+export const GRID_ASPECTS = Object.freeze({
+  '1:1': { w: 1, h: 1, label: 'Square 1:1' },
+  '4:5': { w: 4, h: 5, label: 'Portrait 4:5' },
+  '3:4': { w: 3, h: 4, label: 'Portrait 3:4' },
+})
+export const DEFAULT_GRID_ASPECT = '1:1'
+
+// Posts that can be pinned to the top of a profile
+export const MAX_PINNED = 3
+
+// Auto-arrange goals (see utils/arrange)
+export const ARRANGE_GOALS = Object.freeze({
+  gradient: { label: 'Diagonal gradient', hint: 'Colors flow smoothly from the top-left corner to the bottom-right' },
+  bands: { label: 'Color bands', hint: 'Each row gathers one family of colors, light to dark' },
+  checkerboard: { label: 'Light / dark checkerboard', hint: 'Light and dark posts alternate in every direction' },
+  contrast: { label: 'Maximum contrast', hint: 'Every post stands out from the ones around it' },
+})
+export const DEFAULT_ARRANGE_GOAL = 'gradient'
+
+// Image import: formats the browser can decode, and a per-file size cap
+export const IMPORT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/bmp']
+export const IMPORT_MAX_BYTES = 40 * 1024 * 1024
+
+// Stored renditions per tile: a small thumbnail for the grid, and a master for the
+// viewer and exports (small JPEG originals are kept as they are)
+export const IMAGE_THUMB = Object.freeze({ side: 800, quality: 0.85 })
+export const IMAGE_MASTER = Object.freeze({ side: 2160, quality: 0.92 })
 
 // Overlay display modes — use numeric enums for stability
 export const OVERLAY_MODES = Object.freeze({
@@ -19,3 +49,36 @@ export const OVERLAY_MODE_LABELS = {
 
 // Preset opacity stops (slider or buttons can use these)
 export const OVERLAY_ALPHAS = [0.15, 0.30, 0.50, 0.65, 0.85]
+
+// Grid export: output formats (MIME → label/extension), tile widths and border weights in px
+export const EXPORT_FORMATS = Object.freeze({
+  'image/jpeg': { label: 'JPEG', ext: 'jpg', lossy: true },
+  'image/png': { label: 'PNG', ext: 'png', lossy: false },
+  'image/webp': { label: 'WebP', ext: 'webp', lossy: true },
+})
+export const EXPORT_TILE_SIZES = [320, 640, 1080, 1440]
+export const EXPORT_BORDER_WIDTHS = [0, 1, 2, 4, 8]
+// Per-post export width; height follows the tile shape (1080×1350 for 4:5)
+export const POST_WIDTH = 1080
+
+// View settings saved per project board
+export const DEFAULT_BOARD_SETTINGS = Object.freeze({
+  showColor: true,
+  mode: 'average', // 'average' | 'dominant'
+  overlayMode: OVERLAY_MODES.DOT,
+  overlayAlpha: 0.5,
+  exportIncludeOverlay: true,
+  exportFormat: 'image/jpeg',
+  exportQuality: 0.92,
+  exportTileSize: 1080,
+  exportSpacing: 16,
+  exportBackground: '#0f0f10',
+  exportBorder: 1, // px, 0 = none
+  exportBorderColor: '#2a2b30',
+  columns: GRID_COLUMNS,
+  aspect: DEFAULT_GRID_ASPECT,
+  domCount: 3,
+  stripeMode: 'equal', // 'equal' | 'proportional' (stripe size follows color coverage)
+  showPalette: false,
+  harmonyLayer: 'off', // 'off' | 'heatmap' | 'edges' (neighbour ΔE on the grid)
+})
@@ -1,28 +1,47 @@
-// Canvas export helpers: center-crop + clip per tile, optional overlays, preview URL.
-
+// Canvas export helpers: center-crop + clip per tile, optional overlays, preview URL,
+// and per-post files bundled as a ZIP.
+
+import { GRID_COLUMNS, DEFAULT_GRID_ASPECT, OVERLAY_MODES, EXPORT_FORMATS, POST_WIDTH } from './constants'
+import { cellOf, cellLabel, rowCount, tileHeight, cropRect } from './utils/gridLayout'
+import { createZip } from './utils/zip'
+import { paletteColors, paletteWeights } from './utils/palette'
+import { loadTileImage } from './utils/image'
+import { postingSequence } from './utils/feed'
+
+/**
+ * Render the grid to an image Blob. Sizes are output pixels (tileSize is the tile width);
+ * pixelRatio scales the whole render, e.g. for a small preview. `format` is a MIME type;
+ * browsers that can't encode it fall back to PNG (check blob.type). useMasters draws
+ * full-resolution images (slower) instead of grid thumbnails.
+ */
 export async function exportGrid({
   tiles,
-  columns = 3,
+  columns = GRID_COLUMNS,
+  aspect = DEFAULT_GRID_ASPECT, // tile shape; tileSize is the tile width
   includeOverlays = false,
-  showColor = false,
   mode = 'average',
-  overlayMode = 'dot',
+  domCount = 3, // dominant colors per tile
+  proportional = false, // stripe heights follow color coverage
+  overlayMode = OVERLAY_MODES.DOT,
   overlayAlpha = 0.5,
   tileSize = 512,
   spacing = 12,
   background = '#0f0f10',
-  border = 'rgba(255,255,255,0.06)',
-  pixelRatio = Math.min(2, (typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1)),
+  border = 'rgba(255,255,255,0.06)', // null for none
+  borderWidth = 1,
+  format = 'image/jpeg',
+  quality = 0.92, // JPEG/WebP only
+  pixelRatio = 1,
+  useMasters = true,
 }) {
   if (!tiles || !tiles.length) return null
 
-  // NEW: ensure all images are decoded before drawing
-  await ensureImagesDecoded(tiles)
-
   const cols = Math.max(1, columns)
-  const rows = Math.ceil(tiles.length / cols)
-  const w = cols * tileSize + (cols - 1) * spacing
-  const h = rows * tileSize + (rows - 1) * spacing
+  const rows = rowCount(tiles.length, cols)
+  const tileW = tileSize
+  const tileH = tileHeight(tileSize, aspect)
+  const w = cols * tileW + (cols - 1) * spacing
+  const h = rows * tileH + (rows - 1) * spacing
 
   const canvas = document.createElement('canvas')
   canvas.width = Math.round(w * pixelRatio)
@@ -35,41 +54,50 @@ export async function exportGrid({
 
   for (let i = 0; i < tiles.length; i++) {
     const t = tiles[i]
-    const row = Math.floor(i / cols)
-    const col = i % cols
-    const x = col * (tileSize + spacing)
-    const y = row * (tileSize + spacing)
-
-    await drawAspectFillClipped(ctx, t.img, x, y, tileSize, tileSize)
+    const { row, col } = cellOf(i, cols)
+    const x = col * (tileW + spacing)
+    const y = row * (tileH + spacing)
+
+    // One full-resolution image in memory at a time
+    const source = await tileSource(t, useMasters)
+    try {
+      if (source) await drawAspectFillClipped(ctx, source, x, y, tileW, tileH, t.crop)
+    } finally {
+      source?.close?.()
+    }
 
-    if (border) {
+    if (border && borderWidth > 0) {
+      const inset = borderWidth / 2
       ctx.strokeStyle = border
-      ctx.lineWidth = 1
-      ctx.strokeRect(x + 0.5, y + 0.5, tileSize - 1, tileSize - 1)
+      ctx.lineWidth = borderWidth
+      ctx.strokeRect(x + inset, y + inset, tileW - borderWidth, tileH - borderWidth)
     }
 
-    if (includeOverlays && showColor) {
-      if (overlayMode === 'dot') {
-        const colors = mode === 'average' ? [t.avg] : (t.dom?.length ? t.dom : [t.avg])
-        drawSwatches(ctx, colors, x, y, tileSize, tileSize)
+    if (includeOverlays) {
+      if (overlayMode === OVERLAY_MODES.DOT) {
+        const colors = mode === 'average' ? [t.avg] : paletteColors(t, domCount)
+        drawSwatches(ctx, colors, x, y, tileW, tileH)
       } else {
         if (mode === 'average') {
           ctx.save()
-          ctx.beginPath(); ctx.rect(x, y, tileSize, tileSize); ctx.clip()
+          ctx.beginPath(); ctx.rect(x, y, tileW, tileH); ctx.clip()
           ctx.fillStyle = rgbaStr(t.avg, overlayAlpha)
-          if (overlayMode === 'half') ctx.fillRect(x, y + tileSize / 2, tileSize, tileSize / 2)
-          else ctx.fillRect(x, y, tileSize, tileSize)
+          if (overlayMode === OVERLAY_MODES.HALF) ctx.fillRect(x, y + tileH / 2, tileW, tileH / 2)
+          else ctx.fillRect(x, y, tileW, tileH)
           ctx.restore()
         } else {
-          const dom = t.dom && t.dom.length ? t.dom : [t.avg, t.avg, t.avg]
-          const hOverlay = overlayMode === 'half' ? tileSize / 2 : tileSize
-          const y0 = overlayMode === 'half' ? y + tileSize / 2 : y
-          const stripeH = hOverlay / 3
+          const dom = paletteColors(t, domCount)
+          const hOverlay = overlayMode === OVERLAY_MODES.HALF ? tileH / 2 : tileH
+          const y0 = overlayMode === OVERLAY_MODES.HALF ? y + tileH / 2 : y
+          const weights = paletteWeights(t, domCount, proportional)
           ctx.save()
-          ctx.beginPath(); ctx.rect(x, y, tileSize, tileSize); ctx.clip()
-          for (let s = 0; s < 3; s++) {
-            ctx.fillStyle = rgbaStr(dom[s] || t.avg, overlayAlpha)
-            ctx.fillRect(x, y0 + s * stripeH, tileSize, stripeH)
+          ctx.beginPath(); ctx.rect(x, y, tileW, tileH); ctx.clip()
+          let sy = y0
+          for (let s = 0; s < dom.length; s++) {
+            const stripeH = hOverlay * weights[s]
+            ctx.fillStyle = rgbaStr(dom[s], overlayAlpha)
+            ctx.fillRect(x, sy, tileW, stripeH)
+            sy += stripeH
           }
           ctx.restore()
         }
@@ -77,9 +105,58 @@ export async function exportGrid({
     }
   }
 
-  return await new Promise((resolve) =>
-    canvas.toBlob((b) => resolve(b), 'image/jpeg', 0.92)
-  )
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, format, quality))
+  // toBlob yields null when the canvas exceeds the browser's size limits
+  if (!blob) throw new Error('The export is too large for this browser. Try a smaller tile size.')
+  return blob
+}
+
+/**
+ * Every planned post as its own Instagram-sized file (POST_WIDTH wide, tile shape tall:
+ * 1080×1080, 1080×1350 or 1080×1440), honouring crops, bundled into one ZIP.
+ * Published posts are left out; the rest are numbered in posting order (see
+ * postingSequence), so 01 is the next post to go out. onProgress(done, total) is
+ * called after each file. Null when nothing is left to post.
+ */
+export async function exportPostsZip({
+  tiles,
+  columns = GRID_COLUMNS,
+  aspect = DEFAULT_GRID_ASPECT,
+  format = 'image/jpeg',
+  quality = 0.92,
+  onProgress,
+}) {
+  const posts = postingSequence(tiles || [])
+  if (!posts.length) return null
+  const w = POST_WIDTH
+  const h = tileHeight(POST_WIDTH, aspect)
+  const digits = Math.max(2, String(posts.length).length)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = w
+  canvas.height = h
+  const ctx = canvas.getContext('2d')
+
+  const files = []
+  for (let n = 0; n < posts.length; n++) {
+    const t = posts[n]
+    const index = tiles.indexOf(t) // grid cell, for the file name
+    ctx.fillStyle = '#000'
+    ctx.fillRect(0, 0, w, h)
+    const source = await tileSource(t)
+    try {
+      if (source) await drawAspectFillClipped(ctx, source, 0, 0, w, h, t.crop)
+    } finally {
+      source?.close?.()
+    }
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, format, quality))
+    if (!blob) throw new Error(`Rendering post ${n + 1} failed.`)
+    const ext = EXPORT_FORMATS[blob.type]?.ext || 'png'
+    const cell = cellLabel(index, columns).replace(/, /g, '_').replace(/ /g, '')
+    files.push({ name: `${String(n + 1).padStart(digits, '0')}_${cell}.${ext}`, data: blob })
+    onProgress?.(n + 1, posts.length)
+  }
+  return createZip(files)
 }
 
 export async function exportGridObjectURL(opts) {
@@ -90,31 +167,43 @@ export async function exportGridObjectURL(opts) {
 
 /* ----------------- helpers ----------------- */
 
-async function drawAspectFillClipped(ctx, img, x, y, w, h) {
+// Best source for drawing a tile: its master as an ImageBitmap (close it after use),
+// else the grid image. Null if neither decodes.
+async function tileSource(t, useMaster = true) {
+  if (useMaster && t.master) {
+    try {
+      return await createImageBitmap(t.master, { imageOrientation: 'from-image' })
+    } catch (e) {
+      console.warn('Decoding tile master failed; exporting the thumbnail', e)
+    }
+  }
+  return loadTileImage(t).catch(() => null)
+}
+
+// Fill the w×h box with the tile's visible region: centered cover, or its stored crop.
+async function drawAspectFillClipped(ctx, img, x, y, w, h, crop = null) {
   const iw = img.naturalWidth || img.width
   const ih = img.naturalHeight || img.height
   if (!iw || !ih) return
 
-  const scale = Math.max(w / iw, h / ih)
-  const dw = iw * scale
-  const dh = ih * scale
-  const dx = x + (w - dw) / 2
-  const dy = y + (h - dh) / 2
+  const r = cropRect(iw, ih, w / h, crop)
 
   ctx.save()
   ctx.beginPath(); ctx.rect(x, y, w, h); ctx.clip()
-  ctx.drawImage(img, dx, dy, dw, dh)
+  ctx.drawImage(img, r.x * iw, r.y * ih, r.w * iw, r.h * ih, x, y, w, h)
   ctx.restore()
 }
 
+// Sized relative to the tile so they read the same at any export size
 function drawSwatches(ctx, colors, x, y, w, h) {
-  const pad = 8, circle = 18, gap = 8
+  const u = w / 300
+  const pad = 8 * u, circle = 18 * u, gap = 8 * u
   const total = colors.length * circle + (colors.length - 1) * gap
-  const bx = x + pad - 6, by = y + h - pad - circle - 4
-  const bw = total + 12, bh = circle + 8
+  const bx = x + pad - 6 * u, by = y + h - pad - circle - 4 * u
+  const bw = total + 12 * u, bh = circle + 8 * u
 
   ctx.fillStyle = 'rgba(0,0,0,.35)'
-  roundRect(ctx, bx, by, bw, bh, (circle + 8) / 2)
+  roundRect(ctx, bx, by, bw, bh, bh / 2)
   ctx.fill()
 
   for (let i = 0; i < colors.length; i++) {
@@ -126,6 +215,7 @@ function drawSwatches(ctx, colors, x, y, w, h) {
     ctx.arc(cx + circle / 2, cy + circle / 2, circle / 2, 0, Math.PI * 2)
     ctx.fill()
     ctx.strokeStyle = 'rgba(0,0,0,.25)'
+    ctx.lineWidth = u
     ctx.stroke()
   }
 }
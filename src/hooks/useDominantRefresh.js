@@ -0,0 +1,39 @@
+// Keeps every tile's dominant palette (and coverage weights) computed for the board's
+// color count (k). Tiles analysed with a different k or without weights — older boards,
+// a changed setting, or undo restoring earlier snapshots — are re-analysed in small batches.
+
+import { useEffect } from 'react'
+import { analyzeImage } from '../workers/imagePool'
+import { loadTileImage } from '../utils/image'
+import { cropRect, aspectRatio } from '../utils/gridLayout'
+
+const BATCH = 8
+
+export function useDominantRefresh(items, setItems, { k, aspect, enabled }) {
+  useEffect(() => {
+    if (!enabled) return
+    const stale = items.filter(t => t.domK !== k || !Array.isArray(t.domWeights))
+    if (!stale.length) return
+
+    let cancelled = false
+    ;(async () => {
+      const updates = new Map()
+      for (const t of stale.slice(0, BATCH)) {
+        let palette = { dom: t.dom, domWeights: t.domWeights || [] }
+        try {
+          const img = await loadTileImage(t)
+          const rect = t.crop ? cropRect(img.naturalWidth, img.naturalHeight, aspectRatio(aspect), t.crop) : null
+          const { dom, domWeights } = await analyzeImage(img, rect, k)
+          palette = { dom, domWeights }
+        } catch (e) {
+          console.warn('Re-analysing tile colors failed; keeping previous palette', e)
+        }
+        if (cancelled) return
+        updates.set(t.id, palette)
+      }
+      // The new items array re-runs this effect for whatever is still stale
+      setItems(prev => prev.map(t => (updates.has(t.id) ? { ...t, ...updates.get(t.id), domK: k } : t)))
+    })()
+    return () => { cancelled = true }
+  }, [items, setItems, k, aspect, enabled])
+}
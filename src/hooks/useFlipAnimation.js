@@ -0,0 +1,46 @@
+// FLIP transitions for a keyed grid: after each render, children marked with
+// data-flip-id that moved slide from where they were to their new place, and ones that
+// just appeared fade in. Positions are taken relative to the container, so scrolling
+// between renders doesn't read as movement. Off (and forgetting positions) when disabled
+// or when the user prefers reduced motion.
+
+import { useLayoutEffect, useRef } from 'react'
+
+const FLIP_MS = 420
+
+export function useFlipAnimation(ref, enabled = true) {
+  const positions = useRef(new Map()) // flip id → { x, y } at the last render
+
+  useLayoutEffect(() => {
+    const el = ref.current
+    if (!enabled || !el || prefersReducedMotion()) {
+      positions.current = new Map()
+      return
+    }
+    const origin = el.getBoundingClientRect()
+    const previous = positions.current
+    const next = new Map()
+    for (const node of el.querySelectorAll('[data-flip-id]')) {
+      const r = node.getBoundingClientRect()
+      const at = { x: r.left - origin.left, y: r.top - origin.top }
+      next.set(node.dataset.flipId, at)
+      if (!previous.size) continue // first measurement: nothing to animate from
+      const from = previous.get(node.dataset.flipId)
+      if (!from) {
+        node.animate([{ opacity: 0 }, { opacity: 1 }], { duration: FLIP_MS, easing: 'ease-out' })
+      } else if (from.x !== at.x || from.y !== at.y) {
+        node.animate(
+          [{ transform: `translate(${from.x - at.x}px, ${from.y - at.y}px)` }, { transform: 'none' }],
+          { duration: FLIP_MS, easing: 'ease-in-out' }
+        )
+      }
+    }
+    positions.current = next
+  })
+}
+
+/* ---------------- helpers ---------------- */
+
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+}
@@ -0,0 +1,68 @@
+// Undo/redo stack for grid mutations, with Ctrl/Cmd+Z and Shift+Ctrl/Cmd+Z shortcuts.
+// Every change to the tile list goes through commit() so it can be reversed.
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { EMPTY_HISTORY, applyCommand, invertCommand, pushCommand } from '../state/history'
+
+export function useHistory(setItems) {
+  const [history, setHistoryState] = useState(EMPTY_HISTORY)
+  // Mirrors state synchronously so rapid key repeats never replay the same step
+  const historyRef = useRef(history)
+
+  const setHistory = useCallback((next) => {
+    historyRef.current = next
+    setHistoryState(next)
+  }, [])
+
+  const commit = useCallback((cmd) => {
+    setItems(prev => applyCommand(prev, cmd))
+    setHistory(pushCommand(historyRef.current, cmd))
+  }, [setItems, setHistory])
+
+  const undo = useCallback(() => {
+    const { past, future } = historyRef.current
+    const cmd = past[past.length - 1]
+    if (!cmd) return
+    setItems(prev => applyCommand(prev, invertCommand(cmd)))
+    setHistory({ past: past.slice(0, -1), future: [cmd, ...future] })
+  }, [setItems, setHistory])
+
+  const redo = useCallback(() => {
+    const { past, future } = historyRef.current
+    const cmd = future[0]
+    if (!cmd) return
+    setItems(prev => applyCommand(prev, cmd))
+    setHistory({ past: [...past, cmd], future: future.slice(1) })
+  }, [setItems, setHistory])
+
+  // Keyboard shortcuts (left alone while typing so fields keep native undo)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return
+      if (isEditable(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo() }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo() }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [undo, redo])
+
+  const { past, future } = history
+  return {
+    history,
+    resetHistory: setHistory,
+    commit,
+    undo,
+    redo,
+    undoLabel: past.length ? past[past.length - 1].label : null,
+    redoLabel: future.length ? future[0].label : null,
+  }
+}
+
+function isEditable(el) {
+  if (!el || !(el instanceof HTMLElement)) return false
+  if (el.isContentEditable) return true
+  if (el.tagName === 'TEXTAREA') return true
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'file'].includes(el.type)
+}
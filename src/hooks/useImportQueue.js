@@ -0,0 +1,140 @@
+// Import queue: validates files, feeds them to `processFile` a few at a time, tracks
+// progress (n of N, current file) and can be cancelled mid-batch. Files that are
+// skipped are collected with a reason for the end-of-import report. Files added while
+// an import runs join its queue (and its worker pool, up to CONCURRENCY).
+
+import { useCallback, useRef, useState } from 'react'
+import { IMPORT_TYPES, IMPORT_MAX_BYTES } from '../constants'
+
+const CONCURRENCY = 3 // files in flight at once (the worker pool does the heavy lifting)
+
+export const SKIP_REASONS = Object.freeze({
+  type: 'Unsupported file type',
+  size: `Too large (over ${Math.round(IMPORT_MAX_BYTES / 1024 / 1024)} MB)`,
+  decode: 'Could not be decoded',
+  cancelled: 'Cancelled while importing',
+  busy: 'Added after the import was cancelled',
+})
+
+/**
+ * `processFile(file)` resolves to a tile or throws if the file cannot be decoded.
+ * importFiles(files) resolves to the processed tiles in selection order; after a
+ * cancel it holds only the files finished so far. Called while an import runs, it adds
+ * the files to that import (whose call resolves to them) and resolves to [].
+ */
+export function useImportQueue(processFile) {
+  const [progress, setProgress] = useState(null) // { done, total, current } while importing
+  const [report, setReport] = useState(null) // { added, total, cancelled, skipped: [{ name, reason }] }
+  const cancelRef = useRef(null) // { cancelled, files, skipped, grow } of the running import
+
+  const importFiles = useCallback(async (fileList) => {
+    const added = Array.from(fileList || [])
+    if (!added.length) return []
+    const running = cancelRef.current
+    if (running) {
+      const start = running.files.length
+      running.files.push(...added)
+      if (running.cancelled) {
+        running.skipped.push(...added.map((file, i) => ({ index: start + i, name: file.name, reason: SKIP_REASONS.busy })))
+      }
+      setProgress(p => p && { ...p, total: running.files.length })
+      running.grow()
+      return []
+    }
+
+    const files = added // grows when files are added mid-import
+    const skipped = []
+    const results = []
+    let next = 0
+    let done = 0
+    let active = 0 // running workers
+    const workers = []
+    const run = {
+      cancelled: false,
+      files,
+      skipped,
+      // Start workers for unclaimed files, up to the pool size
+      grow: () => {
+        while (!run.cancelled && active < CONCURRENCY && next < files.length) workers.push(worker())
+      },
+    }
+    cancelRef.current = run
+    setReport(null)
+    setProgress({ done, total: files.length, current: files[0].name })
+
+    // Claims its first file synchronously, so grow() never starts an idle worker
+    const worker = async () => {
+      active++
+      try {
+        await work()
+      } finally {
+        active--
+      }
+    }
+    const work = async () => {
+      while (!run.cancelled && next < files.length) {
+        const i = next++
+        const file = files[i]
+        setProgress(p => p && { ...p, current: file.name })
+        let tile = null
+        let reason = checkFile(file)
+        if (!reason) {
+          try {
+            tile = await processFile(file)
+          } catch (e) {
+            console.warn(`Importing ${file.name} failed`, e)
+            reason = SKIP_REASONS.decode
+          }
+        }
+        if (run.cancelled) {
+          // Finished after the cancel: dropped like the files still queued, but reported
+          skipped.push({ index: i, name: file.name, reason: reason || SKIP_REASONS.cancelled })
+          return
+        }
+        if (reason) skipped.push({ index: i, name: file.name, reason })
+        else results[i] = tile
+        done++
+        setProgress(p => p && { ...p, done })
+      }
+    }
+    run.grow()
+    for (let w = 0; w < workers.length; w++) await workers[w] // grows as files are added
+
+    const tiles = results.filter(Boolean)
+    cancelRef.current = null
+    setProgress(null)
+    if (skipped.length || run.cancelled) {
+      setReport({
+        added: tiles.length,
+        total: files.length,
+        cancelled: run.cancelled,
+        skipped: skipped.sort((a, b) => a.index - b.index).map(({ name, reason }) => ({ name, reason })),
+      })
+    }
+    return tiles
+  }, [processFile])
+
+  const cancelImport = useCallback(() => {
+    if (cancelRef.current) cancelRef.current.cancelled = true
+  }, [])
+
+  const dismissReport = useCallback(() => setReport(null), [])
+
+  return { importing: !!progress, progress, report, importFiles, cancelImport, dismissReport }
+}
+
+/* ---------------- helpers ---------------- */
+
+function checkFile(file) {
+  const type = file.type || guessType(file.name)
+  if (!IMPORT_TYPES.includes(type)) return SKIP_REASONS.type
+  if (file.size > IMPORT_MAX_BYTES) return SKIP_REASONS.size
+  return null
+}
+
+// Some platforms leave File.type empty; fall back to the extension
+function guessType(name) {
+  const ext = (name.split('.').pop() || '').toLowerCase()
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+    gif: 'image/gif', avif: 'image/avif', bmp: 'image/bmp' }[ext] || ''
+}
@@ -0,0 +1,22 @@
+// Full-resolution image for a tile while it is on screen: an object URL for its master
+// blob, created on demand and revoked as soon as the tile changes or the caller unmounts.
+// Null for tiles without a master (use the grid thumbnail).
+
+import { useEffect, useState } from 'react'
+
+export function useMasterImage(tile) {
+  const master = tile?.master || null
+  const [opened, setOpened] = useState(null) // { master, url }
+
+  useEffect(() => {
+    if (!master) return
+    const url = URL.createObjectURL(master)
+    setOpened({ master, url })
+    return () => {
+      URL.revokeObjectURL(url)
+      setOpened(null)
+    }
+  }, [master])
+
+  return opened?.master === master ? opened.url : null
+}
@@ -0,0 +1,98 @@
+// Project boards: list, active selection, create/rename/duplicate/delete, and opening
+// .gridtone project files as new boards.
+
+import { useCallback, useEffect, useState } from 'react'
+import {
+  DEFAULT_PROJECT_NAME,
+  listProjects,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  getActiveProjectId,
+  setActiveProjectId,
+} from '../state/storage'
+import { openProjectFile } from '../state/projectFile'
+
+export function useProjects() {
+  const [projects, setProjects] = useState([])
+  const [activeProjectId, setActive] = useState(null)
+
+  const refresh = useCallback(async () => {
+    const list = await listProjects()
+    setProjects(list)
+    return list
+  }, [])
+
+  const switchProject = useCallback(async (id) => {
+    setActive(id)
+    await setActiveProjectId(id)
+  }, [])
+
+  // Initial load: restore the last active board, falling back to the first one
+  useEffect(() => {
+    let cancelled = false
+    ;(async () => {
+      try {
+        let list = await listProjects()
+        if (!list.length) {
+          await createProject(DEFAULT_PROJECT_NAME)
+          list = await listProjects()
+        }
+        const saved = await getActiveProjectId()
+        const id = list.some(p => p.id === saved) ? saved : list[0].id
+        if (cancelled) return
+        setProjects(list)
+        setActive(id)
+        if (id !== saved) await setActiveProjectId(id)
+      } catch (e) {
+        console.error('Failed to load projects', e)
+      }
+    })()
+    return () => { cancelled = true }
+  }, [])
+
+  const create = useCallback(async (name) => {
+    const project = await createProject(name)
+    await refresh()
+    await switchProject(project.id)
+  }, [refresh, switchProject])
+
+  const rename = useCallback(async (id, name) => {
+    await renameProject(id, name)
+    await refresh()
+  }, [refresh])
+
+  const duplicate = useCallback(async (id, name) => {
+    const copy = await duplicateProject(id, name)
+    await refresh()
+    await switchProject(copy.id)
+  }, [refresh, switchProject])
+
+  const open = useCallback(async (file) => {
+    const project = await openProjectFile(file)
+    await refresh()
+    await switchProject(project.id)
+  }, [refresh, switchProject])
+
+  const remove = useCallback(async (id) => {
+    await deleteProject(id)
+    let list = await refresh()
+    if (!list.length) {
+      await createProject(DEFAULT_PROJECT_NAME)
+      list = await refresh()
+    }
+    if (id === activeProjectId) await switchProject(list[0].id)
+  }, [activeProjectId, refresh, switchProject])
+
+  return {
+    projects,
+    activeProjectId,
+    switchProject,
+    createProject: create,
+    renameProject: rename,
+    duplicateProject: duplicate,
+    deleteProject: remove,
+    openProject: open,
+  }
+}
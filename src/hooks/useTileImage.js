@@ -0,0 +1,21 @@
+// Displayable src for a tile's grid image: a cached object URL for its thumbnail blob,
+// held while the caller is mounted (see utils/imageCache), or the plain src of tiles
+// without a blob (samples, older boards).
+
+import { useLayoutEffect, useState } from 'react'
+import { acquireImageURL, releaseImageURL } from '../utils/imageCache'
+
+export function useTileImage(tile) {
+  const blob = tile?.blob || null
+  const [held, setHeld] = useState(null) // { blob, url }
+
+  // Layout effect: the URL is in place before the first paint
+  useLayoutEffect(() => {
+    if (!blob) return
+    setHeld({ blob, url: acquireImageURL(blob) })
+    return () => releaseImageURL(blob)
+  }, [blob])
+
+  if (!blob) return tile?.img?.src || null
+  return held?.blob === blob ? held.url : null
+}
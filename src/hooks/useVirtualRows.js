@@ -0,0 +1,57 @@
+// Row window for a CSS grid that scrolls with the page: which rows [start, end) are
+// in (or near) the viewport, plus the row height and gap needed to size spacers for
+// the rows left out. Re-measured on scroll, resize and grid size changes.
+
+import { useLayoutEffect, useState } from 'react'
+import { aspectRatio } from '../utils/gridLayout'
+
+const INITIAL_ROWS = 8 // rendered before the first measurement
+
+export function useVirtualRows(ref, { rows, columns, aspect, overscan = 3, enabled = true }) {
+  const [range, setRange] = useState({ start: 0, end: INITIAL_ROWS, rowHeight: 0, gap: 0 })
+
+  useLayoutEffect(() => {
+    const el = ref.current
+    if (!enabled || !el) return
+    let frame = 0
+
+    const measure = () => {
+      frame = 0
+      const cs = getComputedStyle(el)
+      const gap = parseFloat(cs.rowGap) || 0
+      const inner = el.clientWidth - parseFloat(cs.paddingLeft) - parseFloat(cs.paddingRight)
+      const tileWidth = (inner - (columns - 1) * (parseFloat(cs.columnGap) || 0)) / columns
+      const rowHeight = tileWidth / aspectRatio(aspect)
+      const pitch = rowHeight + gap
+      if (!(pitch > 0)) return
+      const top = el.getBoundingClientRect().top + parseFloat(cs.paddingTop)
+      const start = clamp(Math.floor(-top / pitch) - overscan, 0, rows)
+      const end = clamp(Math.ceil((window.innerHeight - top) / pitch) + overscan, start, rows)
+      setRange(r => (
+        r.start === start && r.end === end && r.rowHeight === rowHeight && r.gap === gap
+          ? r
+          : { start, end, rowHeight, gap }
+      ))
+    }
+    const schedule = () => { if (!frame) frame = requestAnimationFrame(measure) }
+
+    measure()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    const observer = new ResizeObserver(schedule)
+    observer.observe(el)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+      observer.disconnect()
+    }
+  }, [ref, rows, columns, aspect, overscan, enabled])
+
+  if (!enabled) return { start: 0, end: rows, rowHeight: 0, gap: 0 }
+  return { ...range, start: Math.min(range.start, rows), end: Math.min(range.end, rows) }
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v))
+}
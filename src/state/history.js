@@ -0,0 +1,175 @@
+// Undo/redo for grid mutations. Commands are plain data so a board's history can be
+// persisted next to its tiles and replayed after a reload.
+//
+//   { type: 'move',    label, id, from, to }               reorder one tile
+//   { type: 'moveGroup', label, ids, from, to }            reorder a linked group (contiguous ids; from/to = first index)
+//   { type: 'reorder', label, before: [id], after: [id] }  rearrange the whole grid (e.g. auto-arrange)
+//   { type: 'insert',  label, entries: [{ index, tile }] }  import (entries ascending by index)
+//   { type: 'remove',  label, entries: [{ index, tile }] }  delete (entries ascending by index)
+//   { type: 'replace', label, before: [tile], after: [tile] } load sample / clear
+//   { type: 'update',  label, id, before: {…}, after: {…} }  change tile fields (e.g. crop)
+//   { type: 'batch',   label, commands: [cmd] }           several steps undone as one
+
+export const HISTORY_LIMIT = 50 // max undo steps kept per board
+export const HISTORY_TILE_BUDGET = 200 // max tile snapshots held by past (checked on push, when future is empty)
+
+export const EMPTY_HISTORY = Object.freeze({ past: [], future: [] })
+
+/**
+ * Apply a command to an items array and return the new array.
+ */
+export function applyCommand(items, cmd) {
+  switch (cmd.type) {
+    case 'move': {
+      const from = items.findIndex(t => t.id === cmd.id)
+      if (from < 0) return items
+      const next = items.slice()
+      const [tile] = next.splice(from, 1)
+      next.splice(cmd.to, 0, tile)
+      return next
+    }
+    case 'moveGroup': {
+      const ids = new Set(cmd.ids)
+      const next = items.filter(t => !ids.has(t.id))
+      next.splice(cmd.to, 0, ...items.filter(t => ids.has(t.id)))
+      return next
+    }
+    case 'reorder': {
+      const byId = new Map(items.map(t => [t.id, t]))
+      const next = cmd.after.map(id => byId.get(id)).filter(Boolean)
+      // Tiles the command doesn't know about stay, at the end
+      return next.length === items.length ? next : [...next, ...items.filter(t => !cmd.after.includes(t.id))]
+    }
+    case 'insert': {
+      const next = items.slice()
+      for (const { index, tile } of cmd.entries) next.splice(index, 0, tile)
+      return next
+    }
+    case 'remove': {
+      const ids = new Set(cmd.entries.map(e => e.tile.id))
+      return items.filter(t => !ids.has(t.id))
+    }
+    case 'replace':
+      return cmd.after.slice()
+    case 'update':
+      return items.map(t => (t.id === cmd.id ? { ...t, ...cmd.after } : t))
+    case 'batch':
+      return cmd.commands.reduce(applyCommand, items)
+    default:
+      console.warn('Unknown history command', cmd)
+      return items
+  }
+}
+
+/**
+ * The command that undoes `cmd`.
+ */
+export function invertCommand(cmd) {
+  switch (cmd.type) {
+    case 'move':
+    case 'moveGroup':
+      return { ...cmd, from: cmd.to, to: cmd.from }
+    case 'insert':
+      return { ...cmd, type: 'remove' }
+    case 'remove':
+      return { ...cmd, type: 'insert' }
+    case 'reorder':
+    case 'replace':
+    case 'update':
+      return { ...cmd, before: cmd.after, after: cmd.before }
+    case 'batch':
+      return { ...cmd, commands: cmd.commands.map(invertCommand).reverse() }
+    default:
+      return cmd
+  }
+}
+
+/**
+ * Push a new command: clears the redo stack and trims the oldest steps to stay in budget.
+ */
+export function pushCommand(history, cmd) {
+  const past = [...history.past, cmd]
+  return { past: trimPast(past), future: [] }
+}
+
+/**
+ * Every tile snapshot a command holds (used for persistence and the memory budget).
+ */
+export function commandTiles(cmd) {
+  switch (cmd.type) {
+    case 'insert':
+    case 'remove':
+      return cmd.entries.map(e => e.tile)
+    case 'replace':
+      return [...cmd.before, ...cmd.after]
+    case 'batch':
+      return cmd.commands.flatMap(commandTiles)
+    default:
+      return []
+  }
+}
+
+/**
+ * Rebuild a command with each tile snapshot mapped through `fn` (may be async).
+ */
+export async function mapCommandTiles(cmd, fn) {
+  switch (cmd.type) {
+    case 'insert':
+    case 'remove':
+      return {
+        ...cmd,
+        entries: await Promise.all(cmd.entries.map(async e => ({ index: e.index, tile: await fn(e.tile) }))),
+      }
+    case 'replace':
+      return {
+        ...cmd,
+        before: await Promise.all(cmd.before.map(fn)),
+        after: await Promise.all(cmd.after.map(fn)),
+      }
+    case 'batch':
+      return { ...cmd, commands: await Promise.all(cmd.commands.map(c => mapCommandTiles(c, fn))) }
+    default:
+      return cmd
+  }
+}
+
+/**
+ * The command without the tile snapshots `keep` rejects, or null when that leaves
+ * nothing to undo (e.g. tiles whose images couldn't be stored).
+ */
+export function filterCommandTiles(cmd, keep) {
+  switch (cmd.type) {
+    case 'insert':
+    case 'remove': {
+      const entries = cmd.entries.filter(e => keep(e.tile))
+      if (entries.length === cmd.entries.length) return cmd
+      return entries.length ? { ...cmd, entries } : null
+    }
+    case 'replace': {
+      const before = cmd.before.filter(keep)
+      const after = cmd.after.filter(keep)
+      if (before.length === cmd.before.length && after.length === cmd.after.length) return cmd
+      return before.length || after.length ? { ...cmd, before, after } : null
+    }
+    case 'batch': {
+      const commands = cmd.commands.map(c => filterCommandTiles(c, keep)).filter(Boolean)
+      return commands.length ? { ...cmd, commands } : null
+    }
+    default:
+      return cmd
+  }
+}
+
+/* ---------------- helpers ---------------- */
+
+function trimPast(past) {
+  let start = Math.max(0, past.length - HISTORY_LIMIT)
+  let tiles = 0
+  for (let i = start; i < past.length; i++) tiles += commandTiles(past[i]).length
+  // Drop oldest steps until the snapshots fit (always keep the newest step)
+  while (tiles > HISTORY_TILE_BUDGET && start < past.length - 1) {
+    tiles -= commandTiles(past[start]).length
+    start++
+  }
+  return start ? past.slice(start) : past
+}
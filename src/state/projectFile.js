@@ -0,0 +1,221 @@
+// Portable project files (.gridtone): a ZIP with a versioned manifest.json (order,
+// palettes, crops, settings, metadata) plus each tile's thumbnail and master image.
+//
+//   manifest.json   { format, version, exportedAt, project: { name, createdAt, updatedAt, settings, toneMap, brand },
+//                     tiles: [{ avg, dom, domWeights, domK, crop, group, published, pinned, image, master }] }  (display order)
+//   images/001.jpg  grid thumbnail per tile
+//   masters/001.jpg full-resolution image (tiles without one have master: null)
+//
+// Opening always creates a new board, so a file can never overwrite existing work.
+
+import { DEFAULT_BOARD_SETTINGS } from '../constants'
+import { normalizeCrop } from '../utils/gridLayout'
+import { normalizeToneMap } from '../utils/toneMap'
+import { normalizeBrand } from '../utils/brand'
+import { isRGB } from '../utils/palette'
+import { createZip, readZip } from '../utils/zip'
+import { readProjectSnapshot, writeProjectSnapshot } from './storage'
+
+export const PROJECT_FILE_FORMAT = 'gridtone-project'
+export const PROJECT_FILE_VERSION = 1 // bump on breaking manifest changes
+export const PROJECT_FILE_EXTENSION = '.gridtone'
+
+const MANIFEST = 'manifest.json'
+
+// Raised for files that can't be opened; the message is meant for the user
+export class ProjectFileError extends Error {}
+
+/**
+ * Pack a board into a project file. Returns { blob, filename }.
+ */
+export async function exportProjectFile(projectId) {
+  const { project, tiles } = await readProjectSnapshot(projectId)
+  const files = []
+  const entries = tiles.map((t, i) => {
+    const n = String(i + 1).padStart(3, '0')
+    const image = `images/${n}.${extensionOf(t.blob)}`
+    files.push({ name: image, data: t.blob })
+    let master = null
+    if (t.master) {
+      master = `masters/${n}.${extensionOf(t.master)}`
+      files.push({ name: master, data: t.master })
+    }
+    return { avg: t.avg, dom: t.dom, domWeights: t.domWeights, domK: t.domK, crop: t.crop, group: t.group, published: t.published, pinned: t.pinned, image, master }
+  })
+
+  const manifest = {
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+      settings: project.settings || {},
+      toneMap: project.toneMap || [],
+      brand: project.brand || null,
+    },
+    tiles: entries,
+  }
+  const blob = await createZip([{ name: MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...files])
+  return { blob, filename: `${safeFilename(project.name)}${PROJECT_FILE_EXTENSION}` }
+}
+
+/**
+ * Validate a project file and import it as a new board. Returns the new project record.
+ * Throws ProjectFileError for anything that isn't a readable project of a known version.
+ */
+export async function openProjectFile(file) {
+  let entries
+  try {
+    entries = await readZip(file)
+  } catch (e) {
+    throw new ProjectFileError(`“${file.name}” is damaged or isn't a GridTone project (${e.message}).`)
+  }
+
+  const manifestBlob = entries.get(MANIFEST)
+  if (!manifestBlob) throw new ProjectFileError(`“${file.name}” isn't a GridTone project (no ${MANIFEST}).`)
+  let manifest
+  try {
+    manifest = JSON.parse(await manifestBlob.text())
+  } catch {
+    throw new ProjectFileError(`The project manifest in “${file.name}” is damaged and can't be read.`)
+  }
+
+  const { project, tiles } = parseManifest(manifest, entries)
+  return writeProjectSnapshot({ ...project, tiles })
+}
+
+/* ---------------- helpers ---------------- */
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif', bmp: 'image/bmp' }
+
+function parseManifest(manifest, entries) {
+  if (!isObject(manifest) || manifest.format !== PROJECT_FILE_FORMAT) {
+    throw new ProjectFileError('This file isn\'t a GridTone project.')
+  }
+  const { version } = manifest
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ProjectFileError('This project file has no valid format version.')
+  }
+  if (version > PROJECT_FILE_VERSION) {
+    throw new ProjectFileError(
+      `This project was saved by a newer version of GridTone (format ${version}; this app reads up to ${PROJECT_FILE_VERSION}). Update the app to open it.`
+    )
+  }
+
+  const meta = manifest.project
+  if (!isObject(meta) || typeof meta.name !== 'string' || !meta.name.trim()) {
+    throw new ProjectFileError('The project file is missing its board name.')
+  }
+  if (!Array.isArray(manifest.tiles)) throw new ProjectFileError('The project file has no tile list.')
+
+  // Older files have no tone map
+  if (meta.toneMap != null && !(Array.isArray(meta.toneMap) && meta.toneMap.every(c => c == null || isRGB(c)))) {
+    throw new ProjectFileError('The target tone map in the project file is damaged.')
+  }
+  if (meta.brand != null && !isBrand(meta.brand)) {
+    throw new ProjectFileError('The brand palette in the project file is damaged.')
+  }
+
+  const tiles = manifest.tiles.map((t, i) => parseTile(t, i, entries))
+  return {
+    project: {
+      name: meta.name.trim(),
+      createdAt: Number.isFinite(meta.createdAt) ? meta.createdAt : undefined,
+      settings: parseSettings(meta.settings),
+      toneMap: normalizeToneMap(meta.toneMap),
+      brand: meta.brand == null ? null : normalizeBrand(meta.brand),
+    },
+    tiles,
+  }
+}
+
+function parseTile(t, i, entries) {
+  const fail = (what) => {
+    throw new ProjectFileError(`Tile ${i + 1} in the project file is damaged (${what}).`)
+  }
+  if (!isObject(t)) fail('not an object')
+  if (!isRGB(t.avg)) fail('average color')
+  if (!Array.isArray(t.dom) || !t.dom.length || !t.dom.every(isRGB)) fail('dominant colors')
+  if (t.domWeights != null && !(
+    Array.isArray(t.domWeights) &&
+    t.domWeights.length === t.dom.length &&
+    t.domWeights.every(w => Number.isFinite(w) && w >= 0)
+  )) fail('color weights')
+  if (t.domK != null && !(Number.isInteger(t.domK) && t.domK > 0)) fail('color count')
+  if (t.crop != null && !isCrop(t.crop)) fail('crop')
+  if (t.group != null && !isGroup(t.group)) fail('linked group')
+  if (t.published != null && typeof t.published !== 'boolean') fail('published flag')
+  if (t.pinned != null && typeof t.pinned !== 'boolean') fail('pinned flag')
+
+  const blob = imageEntry(entries, t.image) || fail(`missing image ${t.image ?? ''}`.trim())
+  const master = t.master == null ? null : imageEntry(entries, t.master) || fail(`missing image ${t.master}`)
+  return {
+    avg: t.avg,
+    dom: t.dom,
+    domWeights: t.domWeights ?? null,
+    domK: t.domK ?? null,
+    crop: normalizeCrop(t.crop),
+    group: t.group ?? null,
+    published: !!t.published,
+    pinned: !!t.pinned,
+    blob,
+    master,
+  }
+}
+
+// Known settings whose type matches the default; anything else falls back on load
+function parseSettings(settings) {
+  if (!isObject(settings)) return {}
+  const out = {}
+  for (const [key, fallback] of Object.entries(DEFAULT_BOARD_SETTINGS)) {
+    if (!(key in settings)) continue
+    if (fallback == null || typeof settings[key] === typeof fallback) out[key] = settings[key]
+  }
+  return out
+}
+
+// Archive entry as a typed image Blob, or null
+function imageEntry(entries, name) {
+  if (typeof name !== 'string') return null
+  const blob = entries.get(name)
+  if (!blob || !blob.size) return null
+  const ext = name.slice(name.lastIndexOf('.') + 1).toLowerCase()
+  return new Blob([blob], { type: IMAGE_TYPES[ext] || '' })
+}
+
+function extensionOf(blob) {
+  const type = blob.type === 'image/jpg' ? 'image/jpeg' : blob.type
+  return Object.keys(IMAGE_TYPES).find(ext => IMAGE_TYPES[ext] === type) || 'bin'
+}
+
+function safeFilename(name) {
+  return name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80) || 'board'
+}
+
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v)
+}
+
+// Stored crop (see utils/gridLayout normalizeCrop): focus point and zoom as numbers
+function isCrop(c) {
+  return isObject(c) && [c.fx, c.fy, c.zoom].every(Number.isFinite)
+}
+
+// Linked-group membership (see utils/linkedGroups)
+function isGroup(g) {
+  return isObject(g) &&
+    typeof g.id === 'string' &&
+    [g.index, g.rows, g.columns].every(n => Number.isInteger(n) && n >= 0) &&
+    g.index < g.rows * g.columns &&
+    Number.isFinite(g.gutter) && g.gutter >= 0
+}
+
+// Brand palette (see utils/brand)
+function isBrand(b) {
+  return isObject(b) &&
+    typeof b.name === 'string' &&
+    Array.isArray(b.colors) && b.colors.every(isRGB) &&
+    Number.isFinite(b.tolerance)
+}
@@ -1,57 +1,288 @@
 // Persistent storage using IndexedDB (no image data in localStorage).
-// Stores tile blobs + metadata; keeps only the grid order in a small "meta" record.
+// Stores tile blobs + metadata per project; each project record keeps its own
+// tile order and view settings. The active project id lives in the "meta" store,
+// and each project's undo/redo stack in the "history" store, with the images of the
+// tiles it holds in "historyImages".
+// Tile saves are incremental: only added/changed tiles are written, removed ones
+// deleted, and a pure reorder touches just the project's order.
+
+import { EMPTY_HISTORY, commandTiles, mapCommandTiles, filterCommandTiles } from './history';
+import { FALLBACK_RGB } from '../utils/palette';
 
 const DB_NAME = 'gridtone-db';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const STORE_TILES = 'tiles';
 const STORE_META = 'meta';
-const META_ORDER_KEY = 'order';
+const STORE_PROJECTS = 'projects';
+const STORE_HISTORY = 'history';
+const STORE_HISTORY_IMAGES = 'historyImages';
+const INDEX_PROJECT = 'projectId';
+const META_ORDER_KEY = 'order'; // v1 only: single-grid order, migrated into the default project
+const META_ACTIVE_KEY = 'activeProject';
+// Pre-IndexedDB grids kept tiles (with image data URLs) in localStorage
+const LEGACY_KEYS = ['gridtone-v1-items', 'gridtone:v1'];
+
+export const DEFAULT_PROJECT_NAME = 'My Grid';
+
+let dbPromise = null;
+let writeQueue = Promise.resolve();
+// Tiles as last loaded/written per project (projectId -> Map(id -> tile)); tiles are
+// immutable in app state, so an unchanged object means an unchanged record.
+const savedTiles = new Map();
+// Tile ids whose history images are stored, per project (projectId -> Set(id))
+const savedHistoryImages = new Map();
 
 /**
  * Open (or create) the app database.
+ * v1 → v2: adds the "projects" store and moves the single v1 grid into a default project.
+ * v2 → v3: adds the "history" store (one { projectId, past, future } record per project).
+ * v3 → v4: adds the "historyImages" store, so history records no longer carry blobs.
  */
 function openDB() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (e) => {
       const db = req.result;
+      const tx = req.transaction;
       if (!db.objectStoreNames.contains(STORE_TILES)) {
-        db.createObjectStore(STORE_TILES, { keyPath: 'id' }); // { id, avg, dom, blob: Blob }
+        db.createObjectStore(STORE_TILES, { keyPath: 'id' }); // { id, projectId, avg, dom, domWeights, domK, crop, group, published, pinned, blob: Blob (thumbnail), master: Blob | null }
       }
       if (!db.objectStoreNames.contains(STORE_META)) {
-        db.createObjectStore(STORE_META); // key/value; order is saved under key 'order'
+        db.createObjectStore(STORE_META); // key/value; active project id under 'activeProject'
+      }
+      if (e.oldVersion < 2) upgradeToProjects(db, tx);
+      if (e.oldVersion < 3) db.createObjectStore(STORE_HISTORY, { keyPath: 'projectId' });
+      if (e.oldVersion < 4) {
+        // { projectId, id, blob, master } per tile an undo step holds
+        db.createObjectStore(STORE_HISTORY_IMAGES, { keyPath: ['projectId', 'id'] })
+          .createIndex(INDEX_PROJECT, 'projectId');
       }
     };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab upgraded the schema: let it proceed, reopen lazily next time.
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+function upgradeToProjects(db, tx) {
+  const projects = db.createObjectStore(STORE_PROJECTS, { keyPath: 'id' }); // { id, name, order, settings, toneMap, brand, createdAt, updatedAt }
+  const tiles = tx.objectStore(STORE_TILES);
+  const meta = tx.objectStore(STORE_META);
+  tiles.createIndex(INDEX_PROJECT, 'projectId');
+
+  meta.get(META_ORDER_KEY).onsuccess = (ev) => {
+    const project = newProjectRecord(DEFAULT_PROJECT_NAME, { order: ev.target.result || [] });
+    projects.put(project);
+    meta.put(project.id, META_ACTIVE_KEY);
+    meta.delete(META_ORDER_KEY);
+
+    // Existing v1 tiles all belong to the default project
+    tiles.openCursor().onsuccess = (ce) => {
+      const cursor = ce.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, projectId: project.id });
+      cursor.continue();
+    };
+  };
+}
+
+/* ------------------------- projects ------------------------- */
+
+/**
+ * List projects as summaries {id, name, createdAt, updatedAt}, oldest first.
+ */
+export async function listProjects() {
+  const db = await openDB();
+  const tx = db.transaction(STORE_PROJECTS, 'readonly');
+  const all = await requestAll(tx.objectStore(STORE_PROJECTS));
+  return all
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }));
+}
+
+/**
+ * Full project record (order + settings), or null if unknown.
+ */
+export async function getProject(id) {
+  const db = await openDB();
+  const tx = db.transaction(STORE_PROJECTS, 'readonly');
+  return (await requestAsPromise(tx.objectStore(STORE_PROJECTS).get(id))) || null;
+}
+
+export async function createProject(name, settings = {}) {
+  const project = newProjectRecord(name, { settings });
+  await enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction(STORE_PROJECTS, 'readwrite');
+    tx.objectStore(STORE_PROJECTS).put(project);
+    await txDone(tx);
+  });
+  return project;
+}
+
+export function renameProject(id, name) {
+  return updateProject(id, p => ({ ...p, name }));
+}
+
+export function saveProjectSettings(id, settings) {
+  return updateProject(id, p => ({ ...p, settings }));
+}
+
+// Target color per grid slot (see utils/toneMap)
+export function saveProjectToneMap(id, toneMap) {
+  return updateProject(id, p => ({ ...p, toneMap }));
+}
+
+// Named brand palette (see utils/brand)
+export function saveProjectBrand(id, brand) {
+  return updateProject(id, p => ({ ...p, brand }));
+}
+
+/**
+ * Copy a project with all of its tiles (tiles get fresh ids).
+ */
+export function duplicateProject(id, name) {
+  return enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction([STORE_PROJECTS, STORE_TILES], 'readwrite');
+    const projects = tx.objectStore(STORE_PROJECTS);
+    const tiles = tx.objectStore(STORE_TILES);
+
+    const src = await requestAsPromise(projects.get(id));
+    if (!src) throw new Error(`Unknown project ${id}`);
+    const srcTiles = await requestAll(tiles.index(INDEX_PROJECT), IDBKeyRange.only(id));
+
+    const copy = newProjectRecord(name, { settings: src.settings, toneMap: src.toneMap, brand: src.brand });
+    const idMap = new Map();
+    for (const t of srcTiles) {
+      const newId = crypto.randomUUID();
+      idMap.set(t.id, newId);
+      tiles.put({ ...t, id: newId, projectId: copy.id });
+    }
+    copy.order = src.order.map(tid => idMap.get(tid)).filter(Boolean);
+    projects.put(copy);
+
+    await txDone(tx);
+    return copy;
+  });
+}
+
+/**
+ * A project's record plus its tile records in display order (see state/projectFile).
+ * Queued behind pending writes so it matches what the board shows.
+ */
+export function readProjectSnapshot(id) {
+  return enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction([STORE_PROJECTS, STORE_TILES], 'readonly');
+    const project = await requestAsPromise(tx.objectStore(STORE_PROJECTS).get(id));
+    if (!project) throw new Error(`Unknown project ${id}`);
+    const records = await requestAll(tx.objectStore(STORE_TILES).index(INDEX_PROJECT), IDBKeyRange.only(id));
+    const byId = new Map(records.map(r => [r.id, r]));
+    const tiles = project.order.map(tid => byId.get(tid)).filter(rec => rec?.blob).map(recordToTile);
+    return { project, tiles };
+  });
+}
+
+/**
+ * Create a new project from a snapshot ({ name, settings, toneMap, brand, createdAt, tiles }); tiles get fresh ids.
+ */
+export function writeProjectSnapshot({ name, settings = {}, toneMap = [], brand = null, createdAt, tiles }) {
+  return enqueueWrite(async () => {
+    const project = newProjectRecord(name, { settings, toneMap, brand });
+    if (createdAt) project.createdAt = createdAt;
+    const db = await openDB();
+    const tx = db.transaction([STORE_PROJECTS, STORE_TILES], 'readwrite');
+    const tilesStore = tx.objectStore(STORE_TILES);
+    for (const t of tiles) {
+      const id = crypto.randomUUID();
+      project.order.push(id);
+      tilesStore.put({
+        id,
+        projectId: project.id,
+        avg: t.avg,
+        dom: t.dom,
+        domWeights: t.domWeights || null,
+        domK: t.domK ?? null,
+        crop: t.crop || null,
+        group: t.group || null,
+        published: !!t.published,
+        pinned: !!t.pinned,
+        blob: t.blob,
+        master: t.master || null,
+      });
+    }
+    tx.objectStore(STORE_PROJECTS).put(project);
+    await txDone(tx);
+    return project;
+  });
+}
+
+/**
+ * Delete a project and every tile that belongs to it.
+ */
+export function deleteProject(id) {
+  return enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction([STORE_PROJECTS, STORE_TILES, STORE_HISTORY, STORE_HISTORY_IMAGES], 'readwrite');
+    tx.objectStore(STORE_PROJECTS).delete(id);
+    tx.objectStore(STORE_HISTORY).delete(id);
+    await deleteByProject(tx.objectStore(STORE_TILES), id);
+    await deleteByProject(tx.objectStore(STORE_HISTORY_IMAGES), id);
+    await txDone(tx);
+    savedTiles.delete(id);
+    savedHistoryImages.delete(id);
+  });
+}
+
+export async function getActiveProjectId() {
+  const db = await openDB();
+  const tx = db.transaction(STORE_META, 'readonly');
+  return (await requestAsPromise(tx.objectStore(STORE_META).get(META_ACTIVE_KEY))) || null;
+}
+
+export function setActiveProjectId(id) {
+  return enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction(STORE_META, 'readwrite');
+    tx.objectStore(STORE_META).put(id, META_ACTIVE_KEY);
+    await txDone(tx);
   });
 }
 
+/* ------------------------- tiles ------------------------- */
+
 /**
- * Load tiles (order + blobs) and return in display order as {id, img, avg, dom}.
+ * Load a project's tiles (order + blobs) and return in display order as {id, avg, dom, blob, master}.
+ * Nothing is decoded here: views open the blobs they show through utils/imageCache.
  */
-export async function loadTiles() {
+export async function loadTiles(projectId) {
   try {
     const db = await openDB();
 
-    const tx = db.transaction([STORE_TILES, STORE_META], 'readonly');
+    const tx = db.transaction([STORE_TILES, STORE_PROJECTS], 'readonly');
     const tilesStore = tx.objectStore(STORE_TILES);
-    const metaStore = tx.objectStore(STORE_META);
+    const projectsStore = tx.objectStore(STORE_PROJECTS);
 
-    const order = await requestAsPromise(metaStore.get(META_ORDER_KEY)).then(v => v || []);
-    const allTiles = await requestAll(tilesStore);
+    const project = await requestAsPromise(projectsStore.get(projectId));
+    const order = project?.order || [];
+    const allTiles = await requestAll(tilesStore.index(INDEX_PROJECT), IDBKeyRange.only(projectId));
 
     // Map id -> record for quick lookup
     const byId = new Map(allTiles.map(t => [t.id, t]));
 
-    // Rebuild images in the saved order (unknown ids are ignored)
-    const out = [];
-    for (const id of order) {
-      const rec = byId.get(id);
-      if (!rec) continue;
-      const img = await blobToImage(rec.blob);
-      out.push({ id: rec.id, img, avg: rec.avg, dom: rec.dom });
-    }
+    // Saved order (unknown ids and records without image data are ignored)
+    const out = order
+      .map(id => byId.get(id))
+      .filter(rec => rec?.blob)
+      .map(recordToTile);
+    savedTiles.set(projectId, new Map(out.map(t => [t.id, t])));
     return out;
   } catch (e) {
     console.warn('IndexedDB loadTiles failed, starting empty:', e);
@@ -60,41 +291,289 @@ export async function loadTiles() {
 }
 
 /**
- * Save tiles: writes order + per-tile blob+meta.
- * This clears the store first for simplicity.
+ * Save a project's tiles, writing only the difference to what was last loaded/saved:
+ * puts new or changed tiles, deletes removed ones, and updates the order if it moved.
+ */
+export function saveTiles(projectId, items) {
+  return enqueueWrite(async () => {
+    try {
+      const previous = savedTiles.get(projectId);
+      const changed = items.filter(t => previous?.get(t.id) !== t);
+
+      // Resolve blobs before opening the transaction: awaiting a fetch inside it
+      // would let IndexedDB auto-commit mid-write.
+      const records = [];
+      const unsaved = new Set(); // tiles without image data are left out
+      for (const t of changed) {
+        const rec = await tileToRecord(t);
+        if (rec) records.push({ ...rec, projectId });
+        else unsaved.add(t.id);
+      }
+      const order = items.map(t => t.id).filter(id => !unsaved.has(id));
+
+      const db = await openDB();
+      const tx = db.transaction([STORE_TILES, STORE_PROJECTS], 'readwrite');
+      const tilesStore = tx.objectStore(STORE_TILES);
+      const projectsStore = tx.objectStore(STORE_PROJECTS);
+
+      const project = await requestAsPromise(projectsStore.get(projectId));
+      if (!project) throw new Error(`Unknown project ${projectId}`);
+
+      // Keys only: deciding what to delete never reads the blobs
+      const kept = new Set(order);
+      const storedIds = await requestAsPromise(
+        tilesStore.index(INDEX_PROJECT).getAllKeys(IDBKeyRange.only(projectId))
+      );
+      const removed = storedIds.filter(id => !kept.has(id));
+
+      for (const id of removed) tilesStore.delete(id);
+      for (const rec of records) tilesStore.put(rec);
+      if (records.length || removed.length || !sameIds(project.order, order)) {
+        projectsStore.put({ ...project, order, updatedAt: Date.now() });
+      }
+
+      await txDone(tx);
+      savedTiles.set(projectId, new Map(items.filter(t => !unsaved.has(t.id)).map(t => [t.id, t])));
+    } catch (e) {
+      savedTiles.delete(projectId); // state unknown: the next save rewrites every tile
+      console.warn('IndexedDB saveTiles failed (non-fatal):', e);
+    }
+  });
+}
+
+/**
+ * One-time move of a pre-IndexedDB grid from localStorage into a project: tiles are
+ * appended to it and the legacy keys removed. Resolves to the number of tiles moved.
+ */
+export function migrateLegacyStorage(projectId) {
+  return enqueueWrite(async () => {
+    const legacy = readLegacyTiles();
+    if (!legacy) return 0;
+    try {
+      const records = [];
+      for (const t of legacy) {
+        const rec = await tileToRecord(t);
+        if (rec) records.push({ ...rec, projectId });
+      }
+
+      const db = await openDB();
+      const tx = db.transaction([STORE_TILES, STORE_PROJECTS], 'readwrite');
+      const tilesStore = tx.objectStore(STORE_TILES);
+      const projectsStore = tx.objectStore(STORE_PROJECTS);
+      const project = await requestAsPromise(projectsStore.get(projectId));
+      if (!project) throw new Error(`Unknown project ${projectId}`);
+
+      const known = new Set(project.order);
+      const fresh = records.filter(r => !known.has(r.id));
+      for (const rec of fresh) tilesStore.put(rec);
+      projectsStore.put({ ...project, order: [...project.order, ...fresh.map(r => r.id)], updatedAt: Date.now() });
+      await txDone(tx);
+
+      savedTiles.delete(projectId);
+      removeLegacyKeys();
+      return fresh.length;
+    } catch (e) {
+      console.warn('Migrating the localStorage grid failed; will retry next load:', e);
+      return 0;
+    }
+  });
+}
+
+/**
+ * Load a project's undo/redo stacks (tile snapshots come back like loadTiles' tiles).
  */
-export async function saveTiles(items) {
+export async function loadHistory(projectId) {
   try {
     const db = await openDB();
-    const tx = db.transaction([STORE_TILES, STORE_META], 'readwrite');
-    const tilesStore = tx.objectStore(STORE_TILES);
-    const metaStore = tx.objectStore(STORE_META);
-
-    // Clear existing
-    await requestAsPromise(tilesStore.clear());
-    // Write order
-    const order = items.map(t => t.id);
-    await requestAsPromise(metaStore.put(order, META_ORDER_KEY));
-
-    // Write tiles
-    for (const t of items) {
-      // Ensure we have a Blob for persistence. If item.blob is missing but img.src is a data: URL,
-      // convert it to a Blob as a fallback.
-      const blob = t.blob || (await dataURLFallbackToBlob(t.img?.src));
-      if (!blob) continue;
-      await requestAsPromise(tilesStore.put({ id: t.id, avg: t.avg, dom: t.dom, blob }));
+    const tx = db.transaction([STORE_HISTORY, STORE_HISTORY_IMAGES], 'readonly');
+    const rec = await requestAsPromise(tx.objectStore(STORE_HISTORY).get(projectId));
+    const images = await requestAll(tx.objectStore(STORE_HISTORY_IMAGES).index(INDEX_PROJECT), IDBKeyRange.only(projectId));
+    const byId = new Map(images.map(img => [img.id, img]));
+    savedHistoryImages.set(projectId, new Set(byId.keys()));
+    if (!rec) return EMPTY_HISTORY;
+    // v3 records still carry their blobs inline (and may hold null snapshots)
+    const toTile = snap => {
+      const full = snap && { ...snap, ...byId.get(snap.id) };
+      return full?.blob ? recordToTile(full) : null;
+    };
+    const load = async stack => (await Promise.all(stack.map(cmd => mapCommandTiles(cmd, toTile))))
+      .map(cmd => filterCommandTiles(cmd, Boolean))
+      .filter(Boolean);
+    return { past: await load(rec.past), future: await load(rec.future) };
+  } catch (e) {
+    console.warn('IndexedDB loadHistory failed, starting fresh:', e);
+    return EMPTY_HISTORY;
+  }
+}
+
+/**
+ * Save a project's undo/redo stacks. The history record keeps tile metadata only; each
+ * tile's images are written to the history images store once, when a step first holds
+ * the tile, and deleted when no step holds it any more.
+ */
+export function saveHistory(projectId, history) {
+  return enqueueWrite(async () => {
+    try {
+      const held = new Map(); // tile id -> snapshot, over both stacks
+      for (const cmd of [...history.past, ...history.future]) {
+        for (const t of commandTiles(cmd)) held.set(t.id, t);
+      }
+
+      // Resolve blobs before opening the transaction (see saveTiles)
+      const previous = savedHistoryImages.get(projectId);
+      const images = [];
+      for (const t of held.values()) {
+        if (previous?.has(t.id)) continue;
+        const rec = await tileToRecord(t);
+        if (rec) images.push({ projectId, id: t.id, blob: rec.blob, master: rec.master });
+      }
+      const withImages = new Set([...held.keys()].filter(id => previous?.has(id)));
+      for (const img of images) withImages.add(img.id);
+      // Snapshots without image data are left out, as saveTiles leaves such tiles out
+      const toRecords = stack => Promise.all(stack
+        .map(cmd => filterCommandTiles(cmd, t => withImages.has(t.id)))
+        .filter(Boolean)
+        .map(cmd => mapCommandTiles(cmd, tileMeta)));
+      const past = await toRecords(history.past);
+      const future = await toRecords(history.future);
+
+      const db = await openDB();
+      const tx = db.transaction([STORE_HISTORY, STORE_HISTORY_IMAGES], 'readwrite');
+      const imagesStore = tx.objectStore(STORE_HISTORY_IMAGES);
+      const storedKeys = await requestAsPromise(
+        imagesStore.index(INDEX_PROJECT).getAllKeys(IDBKeyRange.only(projectId))
+      );
+      const stored = new Set(storedKeys.map(([, id]) => id));
+      for (const img of images) if (!stored.has(img.id)) imagesStore.put(img);
+      for (const id of stored) if (!withImages.has(id)) imagesStore.delete([projectId, id]);
+      tx.objectStore(STORE_HISTORY).put({ projectId, past, future });
+      await txDone(tx);
+      savedHistoryImages.set(projectId, withImages);
+    } catch (e) {
+      savedHistoryImages.delete(projectId); // state unknown: the next save resolves every image
+      console.warn('IndexedDB saveHistory failed (non-fatal):', e);
     }
+  });
+}
+
+/* ------------------------- helpers ------------------------- */
+
+// Tile in app state -> persisted record (null if no image data can be resolved).
+async function tileToRecord(t) {
+  // Ensure we have a Blob for persistence. If item.blob is missing but img.src is a data: URL,
+  // convert it to a Blob as a fallback.
+  const blob = t.blob || (await dataURLFallbackToBlob(t.img?.src));
+  if (!blob) return null;
+  return { ...tileMeta(t), blob, master: t.master || null };
+}
+
+// A tile's persisted fields other than its images.
+function tileMeta(t) {
+  return {
+    id: t.id,
+    avg: t.avg,
+    dom: t.dom,
+    domWeights: t.domWeights || null,
+    domK: t.domK ?? null,
+    crop: t.crop || null,
+    group: t.group || null,
+    published: !!t.published,
+    pinned: !!t.pinned,
+  };
+}
 
+// Persisted record -> tile in app state.
+function recordToTile(rec) {
+  return {
+    id: rec.id,
+    avg: rec.avg,
+    dom: rec.dom,
+    domWeights: rec.domWeights || null,
+    domK: rec.domK ?? null,
+    crop: rec.crop || null,
+    group: rec.group || null,
+    published: !!rec.published,
+    pinned: !!rec.pinned,
+    blob: rec.blob,
+    master: rec.master || null, // stays a Blob; opened on demand (see useMasterImage)
+  };
+}
+
+function newProjectRecord(name, { order = [], settings = {}, toneMap = [], brand = null } = {}) {
+  const now = Date.now();
+  return { id: crypto.randomUUID(), name, order, settings, toneMap, brand, createdAt: now, updatedAt: now };
+}
+
+function updateProject(id, fn) {
+  return enqueueWrite(async () => {
+    const db = await openDB();
+    const tx = db.transaction(STORE_PROJECTS, 'readwrite');
+    const store = tx.objectStore(STORE_PROJECTS);
+    const project = await requestAsPromise(store.get(id));
+    if (!project) throw new Error(`Unknown project ${id}`);
+    store.put({ ...fn(project), updatedAt: Date.now() });
     await txDone(tx);
+  });
+}
 
-    // Cleanup legacy localStorage (no-op if absent)
-    try { localStorage.removeItem('gridtone:v1'); } catch {}
-  } catch (e) {
-    console.warn('IndexedDB saveTiles failed (non-fatal):', e);
+// Serialize writes so an older save can never land after a newer one.
+function enqueueWrite(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Tiles of a legacy localStorage grid (null if there is none). Keys holding nothing
+// usable are cleared straight away.
+function readLegacyTiles() {
+  const tiles = [];
+  let found = false;
+  for (const key of LEGACY_KEYS) {
+    let parsed = null;
+    try {
+      const raw = localStorage.getItem(key);
+      if (raw == null) continue;
+      found = true;
+      parsed = JSON.parse(raw);
+    } catch {}
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.items) ? parsed.items : [];
+    for (const it of list) {
+      if (!it || typeof it.img?.src !== 'string') continue;
+      tiles.push({
+        id: it.id || crypto.randomUUID(),
+        img: { src: it.img.src },
+        avg: Array.isArray(it.avg) && it.avg.length === 3 ? it.avg : FALLBACK_RGB,
+        dom: Array.isArray(it.dom) ? it.dom.filter(c => Array.isArray(c) && c.length === 3) : [],
+        crop: null,
+      });
+    }
   }
+  if (!found) return null;
+  if (!tiles.length) { removeLegacyKeys(); return null; }
+  return tiles;
 }
 
-/* ------------------------- helpers ------------------------- */
+function removeLegacyKeys() {
+  try {
+    for (const key of LEGACY_KEYS) localStorage.removeItem(key);
+  } catch {}
+}
+
+function sameIds(a = [], b = []) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+function deleteByProject(store, projectId) {
+  return new Promise((resolve, reject) => {
+    const cursorReq = store.index(INDEX_PROJECT).openCursor(IDBKeyRange.only(projectId));
+    cursorReq.onsuccess = e => {
+      const cursor = e.target.result;
+      if (cursor) { cursor.delete(); cursor.continue(); }
+      else resolve();
+    };
+    cursorReq.onerror = () => reject(cursorReq.error);
+  });
+}
 
 function requestAsPromise(req) {
   return new Promise((resolve, reject) => {
@@ -102,10 +581,10 @@ function requestAsPromise(req) {
     req.onerror = () => reject(req.error);
   });
 }
-function requestAll(store) {
+function requestAll(source, query) {
   return new Promise((resolve, reject) => {
     const out = [];
-    const cursorReq = store.openCursor();
+    const cursorReq = source.openCursor(query);
     cursorReq.onsuccess = e => {
       const cursor = e.target.result;
       if (cursor) { out.push(cursor.value); cursor.continue(); }
@@ -129,12 +608,3 @@ async function dataURLFallbackToBlob(src) {
     return await res.blob();
   } catch { return null; }
 }
-function blobToImage(blob) {
-  return new Promise((resolve, reject) => {
-    const url = URL.createObjectURL(blob);
-    const img = new Image();
-    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
-    img.onerror = err => { URL.revokeObjectURL(url); reject(err); };
-    img.src = url;
-  });
-}
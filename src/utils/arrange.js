@@ -0,0 +1,166 @@
+/**
+ * Auto-arrange: reorders a grid toward a color goal (see ARRANGE_GOALS in constants)
+ * from the tiles' stored avg/dom palettes. Pinned, published and linked-slice tiles
+ * keep their positions; the others are redistributed over the slots that remain.
+ */
+
+import { neighbourPairs, tileDeltaE, tileTone } from './harmony'
+
+const NEUTRAL_CHROMA = 0.03 // OKLab chroma below which a color has no usable hue
+const SWAP_PASSES = 4 // improvement passes for the contrast goal
+
+// Tiles auto-arrange may move
+export function isArrangeable(tile) {
+  return !tile.pinned && !tile.published && !tile.group
+}
+
+/**
+ * The items reordered toward `goal`, or `items` itself when fewer than two can move.
+ */
+export function autoArrange(items, columns, goal, k = 3) {
+  const arrange = ARRANGERS[goal]
+  if (!arrange) throw new Error(`Unknown arrange goal: ${goal}`)
+  const slots = []
+  items.forEach((t, i) => { if (isArrangeable(t)) slots.push(i) })
+  if (slots.length < 2) return items
+  const placed = arrange(items, slots, columns, k) // one tile per slot, in slot order
+  const next = items.slice()
+  slots.forEach((s, i) => { next[s] = placed[i] })
+  return next
+}
+
+/* ---------------- goals ---------------- */
+
+const ARRANGERS = {
+  // A nearest-color chain from the lightest tile, laid along the anti-diagonals
+  gradient(items, slots, columns, k) {
+    const chain = colorChain(items, slots, distanceTable(items, k))
+    const diagonal = (s) => Math.floor(s / columns) + (s % columns)
+    const order = slots.map((_, i) => i).sort((x, y) => diagonal(slots[x]) - diagonal(slots[y]) || x - y)
+    const out = []
+    order.forEach((slot, j) => { out[slot] = chain[j] })
+    return out
+  },
+
+  // Tiles in hue order fill the slots row by row; each row runs light to dark
+  bands(items, slots, columns) {
+    const sorted = byHue(slots.map(s => items[s]))
+    const out = []
+    for (let i = 0; i < slots.length;) {
+      const row = Math.floor(slots[i] / columns)
+      let j = i
+      while (j < slots.length && Math.floor(slots[j] / columns) === row) j++
+      out.push(...sorted.slice(i, j).sort((a, b) => tileTone(b).L - tileTone(a).L))
+      i = j
+    }
+    return out
+  },
+
+  // The lighter half on one color of the board, the darker half on the other
+  checkerboard(items, slots, columns) {
+    const isLight = (s) => (Math.floor(s / columns) + (s % columns)) % 2 === 0
+    const byLightness = slots.map(s => items[s]).sort((a, b) => tileTone(b).L - tileTone(a).L)
+    const lightCount = slots.filter(isLight).length
+    const light = byHue(byLightness.slice(0, lightCount))
+    const dark = byHue(byLightness.slice(lightCount))
+    return slots.map(s => (isLight(s) ? light : dark).shift())
+  },
+
+  // Greedy placement (each slot takes the tile furthest from its placed neighbours),
+  // then pairwise swaps while they raise the contrast around both slots
+  contrast(items, slots, columns, k) {
+    const around = neighbourMap(items.length, columns)
+    const dist = distanceTable(items, k)
+    const grid = items.map((_, i) => i) // item index shown at each position
+    for (const s of slots) grid[s] = -1
+    const pool = slots.slice()
+    for (const s of slots) {
+      const placed = around[s].map(n => grid[n]).filter(t => t >= 0)
+      let best = 0
+      let bestScore = -1
+      pool.forEach((t, i) => {
+        const score = placed.length ? Math.min(...placed.map(n => dist(t, n))) : 0
+        if (score > bestScore) { bestScore = score; best = i }
+      })
+      grid[s] = pool.splice(best, 1)[0]
+    }
+
+    const local = (s, t) => around[s].reduce((sum, n) => sum + dist(t, grid[n]), 0)
+    for (let pass = 0; pass < SWAP_PASSES; pass++) {
+      let improved = false
+      for (let i = 0; i < slots.length; i++) {
+        for (let j = i + 1; j < slots.length; j++) {
+          const a = slots[i]
+          const b = slots[j]
+          const ta = grid[a]
+          const tb = grid[b]
+          const before = local(a, ta) + local(b, tb)
+          grid[a] = tb
+          grid[b] = ta
+          if (local(a, tb) + local(b, ta) > before + 1e-6) improved = true
+          else { grid[a] = ta; grid[b] = tb }
+        }
+      }
+      if (!improved) break
+    }
+    return slots.map(s => items[grid[s]])
+  },
+}
+
+/* ---------------- helpers ---------------- */
+
+// Greedy nearest-neighbour path through the slots' tiles, starting from the lightest
+function colorChain(items, slots, dist) {
+  const rest = slots.slice()
+  let current = rest.reduce((a, s) => (tileTone(items[s]).L > tileTone(items[a]).L ? s : a))
+  const chain = []
+  for (;;) {
+    rest.splice(rest.indexOf(current), 1)
+    chain.push(items[current])
+    if (!rest.length) return chain
+    const from = current
+    current = rest.reduce((a, s) => (dist(from, s) < dist(from, a) ? s : a))
+  }
+}
+
+// Colorful tiles around the hue wheel (starting after its widest empty stretch, so no
+// family is split), then near-neutral ones light to dark
+function byHue(tiles) {
+  const tone = new Map(tiles.map(t => [t, tileTone(t)]))
+  const chromatic = tiles
+    .filter(t => tone.get(t).chroma >= NEUTRAL_CHROMA)
+    .sort((a, b) => tone.get(a).hue - tone.get(b).hue)
+  const neutral = tiles
+    .filter(t => tone.get(t).chroma < NEUTRAL_CHROMA)
+    .sort((a, b) => tone.get(b).L - tone.get(a).L)
+  let cut = 0
+  let widest = -1
+  chromatic.forEach((t, i) => {
+    const prev = chromatic[(i + chromatic.length - 1) % chromatic.length]
+    const gap = (tone.get(t).hue - tone.get(prev).hue + 2 * Math.PI) % (2 * Math.PI)
+    if (gap > widest) { widest = gap; cut = i }
+  })
+  return [...chromatic.slice(cut), ...chromatic.slice(0, cut), ...neutral]
+}
+
+// ΔE between items by index, each pair computed once
+function distanceTable(items, k) {
+  const n = items.length
+  const table = new Float32Array(n * n).fill(-1)
+  return (i, j) => {
+    if (i === j) return 0
+    const at = i < j ? i * n + j : j * n + i
+    if (table[at] < 0) table[at] = tileDeltaE(items[i], items[j], k)
+    return table[at]
+  }
+}
+
+// Grid positions adjacent to each position
+function neighbourMap(length, columns) {
+  const map = Array.from({ length }, () => [])
+  for (const { a, b } of neighbourPairs(length, columns)) {
+    map[a].push(b)
+    map[b].push(a)
+  }
+  return map
+}
@@ -0,0 +1,77 @@
+/**
+ * Brand palette: a named set of colors per board, { name, colors: [[r, g, b]], tolerance }.
+ * Tiles are checked against it perceptually: their average and each dominant color
+ * (weighted by coverage) are matched to the closest brand color by ΔE, and a tile whose
+ * blended distance exceeds the tolerance has drifted off brand.
+ */
+
+import { deltaE } from '../colorUtils'
+import { avgColor, paletteColors, paletteWeights, isRGB } from './palette'
+
+export const BRAND_TOLERANCE = 15 // default ΔE a tile may drift
+export const BRAND_TOLERANCE_RANGE = [5, 40]
+export const BRAND_IMPORT_COLORS = 6 // colors taken from an imported image
+const SAME_COLOR = 3 // ΔE under which an added color counts as one already there
+
+export const EMPTY_BRAND = Object.freeze({ name: '', colors: [], tolerance: BRAND_TOLERANCE })
+
+// Closest brand color to an RGB color: { color, deltaE }
+export function nearestBrandColor(rgb, colors) {
+  let best = { color: null, deltaE: Infinity }
+  for (const color of colors) {
+    const d = deltaE(rgb, color)
+    if (d < best.deltaE) best = { color, deltaE: d }
+  }
+  return best
+}
+
+/**
+ * How far a tile is from the palette: { deltaE, off, worst }. `worst` is the tile
+ * color contributing most to the drift, with its nearest brand color:
+ * { color, brand, deltaE }.
+ */
+export function brandDrift(tile, brand, k = 3) {
+  const avg = nearestBrandColor(avgColor(tile), brand.colors)
+  const weights = paletteWeights(tile, k, true)
+  let dom = 0
+  let worst = null
+  paletteColors(tile, k).forEach((color, i) => {
+    const near = nearestBrandColor(color, brand.colors)
+    dom += weights[i] * near.deltaE
+    if (!worst || weights[i] * near.deltaE > worst.share) {
+      worst = { color, brand: near.color, deltaE: near.deltaE, share: weights[i] * near.deltaE }
+    }
+  })
+  const d = (avg.deltaE + dom) / 2
+  return {
+    deltaE: d,
+    off: d > brand.tolerance,
+    worst: { color: worst.color, brand: worst.brand, deltaE: worst.deltaE },
+  }
+}
+
+// Tile id → brandDrift, or null while the palette has no colors
+export function brandReport(items, brand, k = 3) {
+  if (!brand.colors.length) return null
+  return new Map(items.map(t => [t.id, brandDrift(t, brand, k)]))
+}
+
+// `colors` plus the ones in `added` that aren't already (nearly) there
+export function addBrandColors(colors, added) {
+  const out = colors.slice()
+  for (const c of added) {
+    if (!out.some(o => deltaE(o, c) < SAME_COLOR)) out.push(c.map(Math.round))
+  }
+  return out
+}
+
+// A stored brand palette cleaned up (anything unusable falls back to the empty palette)
+export function normalizeBrand(value) {
+  if (value == null || typeof value !== 'object' || Array.isArray(value)) return EMPTY_BRAND
+  const [min, max] = BRAND_TOLERANCE_RANGE
+  return {
+    name: typeof value.name === 'string' ? value.name : '',
+    colors: Array.isArray(value.colors) ? value.colors.filter(isRGB).map(c => c.map(Math.round)) : [],
+    tolerance: Number.isFinite(value.tolerance) ? Math.min(max, Math.max(min, value.tolerance)) : BRAND_TOLERANCE,
+  }
+}
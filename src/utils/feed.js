@@ -0,0 +1,56 @@
+/**
+ * The board as the profile will show it: pinned posts first (up to MAX_PINNED), then
+ * planned posts (the top one is posted last), then the published, live feed. The live
+ * feed is locked; planned posts can only move among themselves, pinned (live or not)
+ * among pins.
+ */
+
+// Index where the planned posts start (= pinned count) and where the live feed starts
+export function feedBounds(items) {
+  let pinned = 0
+  while (pinned < items.length && items[pinned].pinned) pinned++
+  let published = pinned
+  while (published < items.length && !items[published].published) published++
+  return { pinned, published }
+}
+
+// Items in feed order (stable within each part)
+export function feedOrder(items) {
+  const pinned = items.filter(t => t.pinned)
+  const planned = items.filter(t => !t.pinned && !t.published)
+  const live = items.filter(t => !t.pinned && t.published)
+  return [...pinned, ...planned, ...live]
+}
+
+// Published posts in the live feed; a published pin can still move among the pins
+export function isLocked(tile) {
+  return !!tile?.published && !tile.pinned
+}
+
+/**
+ * Restrict a planned move ({ ids, from, to }, see utils/linkedGroups) to the part of
+ * the feed it started in. Returns null when nothing can move.
+ */
+export function clampMove(items, plan) {
+  if (!plan) return null
+  const first = items[plan.from]
+  if (isLocked(first)) return null
+  const { pinned, published } = feedBounds(items)
+  const [min, max] = first.pinned ? [0, pinned] : [pinned, published]
+  const to = Math.min(Math.max(plan.to, min), max - plan.ids.length)
+  return to === plan.from ? null : { ...plan, to }
+}
+
+/**
+ * Posting order of everything not yet live: the planned post just above the live feed
+ * goes first, the top-left one last.
+ */
+export function postingSequence(items) {
+  return items.filter(t => !t.published).reverse()
+}
+
+// The grid followers see once the first `step` posts of the sequence are out (0 = today)
+export function feedAfter(items, step) {
+  const posted = new Set(postingSequence(items).slice(0, step).map(t => t.id))
+  return items.filter(t => t.published || posted.has(t.id))
+}
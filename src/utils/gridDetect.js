@@ -0,0 +1,174 @@
+/**
+ * Finds the post grid in a profile screenshot. Works on luminance only:
+ * gutters are the columns/rows that stay flat and background-colored, tiles the tall
+ * runs in between. Everything is in screenshot pixels; the result is a starting
+ * point the import dialog lets the user adjust.
+ *
+ *   layout = { columns, rows, left, top, gutter, tileH }   (tile width follows from left + gutter)
+ */
+
+const BG_TOLERANCE = 14 // luminance steps a gutter pixel may differ from the background
+const FLAT_ROW = 0.92 // share of background pixels above which a row counts as gutter/UI
+const MAX_GUTTER = 0.02 // of the screenshot width
+
+/**
+ * Detect the grid in an ImageData-like { data, width, height } for a known column count.
+ * `fallbackRatio` (tile width / height) is used when no row height can be measured.
+ */
+export function detectProfileGrid({ data, width, height }, { columns, fallbackRatio = 1 }) {
+  const lum = luminance(data, width, height)
+
+  // Vertical gutters: the column positions whose pixels vary least top to bottom
+  const colVar = columnVariance(lum, width, height)
+  const typical = median(Array.from(colVar)) || 1
+  const scores = []
+  for (let g = 1; g <= Math.max(1, Math.round(width * MAX_GUTTER)); g++) {
+    scores[g] = gutterScore(colVar, width, columns, g) / typical
+  }
+  // A gutter must be clearly flatter than typical columns; among near-equal widths
+  // take the widest, since a narrower guess just covers part of the same gutter
+  const best = Math.min(...scores.filter(s => s >= 0))
+  let gutter = 0
+  if (best < 0.35) {
+    for (let g = 1; g < scores.length; g++) if (scores[g] <= best * 1.25 + 0.01) gutter = g
+  }
+  const tileW = tileWidth(width, columns, 0, gutter)
+
+  // Background: what the gutters are made of (or the top-left pixel without gutters)
+  const bg = gutter
+    ? median(gutterColumns(width, columns, 0, gutter).flatMap(x => sampleColumn(lum, width, height, x)))
+    : lum[0]
+
+  // Tile rows: tall runs of rows that aren't mostly background
+  const runs = contentRuns(lum, width, height, bg)
+  const singles = runs.filter(r => r.h >= tileW * 0.85 && r.h <= tileW * 1.45)
+  const tileH = singles.length ? median(singles.map(r => r.h)) : Math.round(tileW / fallbackRatio)
+  const gaps = []
+  for (let i = 1; i < singles.length; i++) {
+    const gap = singles[i].y - (singles[i - 1].y + singles[i - 1].h)
+    if (gap >= 0 && gap < tileH * 0.1) gaps.push(gap)
+  }
+  const gutterY = gaps.length ? median(gaps) : gutter
+
+  // Rows that merged for lack of a visible gutter are split by the measured pitch
+  const pitch = tileH + gutterY
+  const tops = []
+  for (const r of runs) {
+    const k = Math.round((r.h + gutterY) / pitch)
+    if (k < 1 || Math.abs(k * pitch - gutterY - r.h) > tileH * 0.1) continue
+    for (let i = 0; i < k; i++) tops.push(r.y + i * pitch)
+  }
+  if (!tops.length) {
+    // No row boundaries to go by: fill the tallest run with rows of the expected height
+    const run = runs.reduce((a, r) => (r.h > (a?.h || 0) ? r : a), null)
+    if (!run) return { columns, rows: 1, left: 0, top: 0, gutter, tileH }
+    return { columns, rows: Math.max(1, Math.floor((run.h + gutterY) / pitch)), left: 0, top: run.y, gutter, tileH }
+  }
+
+  const top = tops[0]
+  const rows = Math.round((tops[tops.length - 1] - top) / pitch) + 1
+  return { columns, rows, left: 0, top, gutter: gutter || gutterY, tileH }
+}
+
+/**
+ * Tile rectangles of a layout, row-major (newest post first), as fractions of the
+ * screenshot. Each is inset by `inset` px so gutter pixels don't tint the colors.
+ */
+export function profileCells(layout, width, height, inset = 1) {
+  const { columns, rows, left, top, gutter, tileH } = layout
+  const tileW = tileWidth(width, columns, left, gutter)
+  const cells = []
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      const x = left + c * (tileW + gutter) + inset
+      const y = top + r * (tileH + gutter) + inset
+      const w = tileW - inset * 2
+      const h = tileH - inset * 2
+      if (w <= 0 || h <= 0 || x + w > width + 0.5 || y + h > height + 0.5) continue
+      cells.push({ x: x / width, y: y / height, w: w / width, h: h / height })
+    }
+  }
+  return cells
+}
+
+export function tileWidth(width, columns, left, gutter) {
+  return (width - left * 2 - (columns - 1) * gutter) / columns
+}
+
+/* ---------------- helpers ---------------- */
+
+function luminance(data, width, height) {
+  const out = new Uint8Array(width * height)
+  for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+    out[i] = (data[p] * 54 + data[p + 1] * 183 + data[p + 2] * 19) >> 8
+  }
+  return out
+}
+
+function columnVariance(lum, width, height) {
+  const sum = new Float64Array(width)
+  const sq = new Float64Array(width)
+  for (let y = 0; y < height; y++) {
+    const row = y * width
+    for (let x = 0; x < width; x++) {
+      const v = lum[row + x]
+      sum[x] += v
+      sq[x] += v * v
+    }
+  }
+  const out = new Float64Array(width)
+  for (let x = 0; x < width; x++) {
+    const mean = sum[x] / height
+    out[x] = sq[x] / height - mean * mean
+  }
+  return out
+}
+
+// x positions covered by the gutters between columns
+function gutterColumns(width, columns, left, gutter) {
+  const tileW = tileWidth(width, columns, left, gutter)
+  const xs = []
+  for (let k = 1; k < columns; k++) {
+    const start = Math.round(left + k * tileW + (k - 1) * gutter)
+    for (let x = start; x < start + gutter && x < width; x++) xs.push(x)
+  }
+  return xs
+}
+
+function gutterScore(colVar, width, columns, gutter) {
+  const xs = gutterColumns(width, columns, 0, gutter)
+  return xs.reduce((s, x) => s + colVar[x], 0) / (xs.length || 1)
+}
+
+function sampleColumn(lum, width, height, x) {
+  const out = []
+  for (let y = 0; y < height; y += 4) out.push(lum[y * width + x])
+  return out
+}
+
+// Runs of rows with enough non-background pixels to be tile content: [{ y, h }]
+function contentRuns(lum, width, height, bg) {
+  const runs = []
+  let start = -1
+  for (let y = 0; y <= height; y++) {
+    let content = false
+    if (y < height) {
+      let flat = 0
+      const row = y * width
+      for (let x = 0; x < width; x++) if (Math.abs(lum[row + x] - bg) <= BG_TOLERANCE) flat++
+      content = flat / width < FLAT_ROW
+    }
+    if (content && start < 0) start = y
+    if (!content && start >= 0) {
+      runs.push({ y: start, h: y - start })
+      start = -1
+    }
+  }
+  return runs
+}
+
+function median(values) {
+  if (!values.length) return 0
+  const sorted = values.slice().sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
@@ -0,0 +1,129 @@
+/**
+ * Grid geometry shared by the on-screen grid, the palette mirror, analysis and export.
+ * Positions are row-major, left → right, top → bottom (Instagram order).
+ */
+
+import { GRID_COLUMNS, GRID_COLUMN_OPTIONS, GRID_ASPECTS, DEFAULT_GRID_ASPECT } from '../constants'
+
+// Clamp a stored/selected column count to the supported range
+export function normalizeColumns(columns) {
+  const n = Math.round(Number(columns))
+  const min = GRID_COLUMN_OPTIONS[0]
+  const max = GRID_COLUMN_OPTIONS[GRID_COLUMN_OPTIONS.length - 1]
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : GRID_COLUMNS
+}
+
+// 0-based { row, col } of a grid index
+export function cellOf(index, columns) {
+  return { row: Math.floor(index / columns), col: index % columns }
+}
+
+// 1-based "row r, column c" label for a grid index
+export function cellLabel(index, columns) {
+  const { row, col } = cellOf(index, columns)
+  return `row ${row + 1}, column ${col + 1}`
+}
+
+export function rowCount(length, columns) {
+  return Math.ceil(length / columns)
+}
+
+// Split items into rows of `columns` (last row may be short)
+export function toRows(items, columns) {
+  const rows = []
+  for (let i = 0; i < items.length; i += columns) rows.push(items.slice(i, i + columns))
+  return rows
+}
+
+// Known aspect key ('1:1' | '4:5' | '3:4'), falling back to square
+export function normalizeAspect(aspect) {
+  return GRID_ASPECTS[aspect] ? aspect : DEFAULT_GRID_ASPECT
+}
+
+// Tile height for a given tile width
+export function tileHeight(width, aspect) {
+  const { w, h } = GRID_ASPECTS[normalizeAspect(aspect)]
+  return Math.round((width * h) / w)
+}
+
+// CSS aspect-ratio value, e.g. "4 / 5"
+export function aspectCSS(aspect) {
+  const { w, h } = GRID_ASPECTS[normalizeAspect(aspect)]
+  return `${w} / ${h}`
+}
+
+// Tile width / height
+export function aspectRatio(aspect) {
+  const { w, h } = GRID_ASPECTS[normalizeAspect(aspect)]
+  return w / h
+}
+
+/**
+ * Visible part of an iw×ih image in a tile of the given width/height ratio, as
+ * fractions of the image ({ x, y, w, h } in 0..1). `crop` is the tile's stored
+ * { fx, fy, zoom }: focal point (0..1) the window centers on, and zoom ≥ 1.
+ * Without a crop this is the centered cover crop.
+ */
+export function cropRect(iw, ih, ratio, crop) {
+  if (!iw || !ih) return { x: 0, y: 0, w: 1, h: 1 }
+  const imageRatio = iw / ih
+  let w = 1, h = 1
+  if (imageRatio > ratio) w = ratio / imageRatio
+  else h = imageRatio / ratio
+  const zoom = Math.max(1, crop?.zoom || 1)
+  w /= zoom
+  h /= zoom
+  const fx = crop?.fx ?? 0.5
+  const fy = crop?.fy ?? 0.5
+  return {
+    x: clamp(fx - w / 2, 0, 1 - w),
+    y: clamp(fy - h / 2, 0, 1 - h),
+    w,
+    h,
+  }
+}
+
+// Centered cover crop to the tile shape: the part of the photo the profile grid shows
+export function coverCrop(iw, ih, aspect) {
+  return cropRect(iw, ih, aspectRatio(aspect))
+}
+
+// A crop that changes nothing is stored as null
+export function normalizeCrop(crop) {
+  if (!crop) return null
+  const zoom = Math.max(1, Number(crop.zoom) || 1)
+  const fx = clamp(Number(crop.fx ?? 0.5), 0, 1)
+  const fy = clamp(Number(crop.fy ?? 0.5), 0, 1)
+  if (zoom === 1 && fx === 0.5 && fy === 0.5) return null
+  return { fx, fy, zoom }
+}
+
+/**
+ * Slices for spreading one iw×ih image over rows × columns tiles, row-major, as
+ * fractions of the image ({ x, y, w, h } in 0..1). `gutter` is the gap between tiles
+ * as a fraction of tile width: the strips behind the gaps are left out, so the picture
+ * runs on across them. The image is cover-cropped to the whole block, `position` (0..1)
+ * sliding that crop along whichever axis has room. Returns { block, cells }.
+ */
+export function sliceRects(iw, ih, { rows, columns, aspect, gutter = 0, position = 0.5 }) {
+  const tileH = 1 / aspectRatio(aspect)
+  const blockW = columns + (columns - 1) * gutter
+  const blockH = rows * tileH + (rows - 1) * gutter
+  const block = cropRect(iw, ih, blockW / blockH, { fx: position, fy: position })
+  const cells = []
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      cells.push({
+        x: block.x + ((c * (1 + gutter)) / blockW) * block.w,
+        y: block.y + ((r * (tileH + gutter)) / blockH) * block.h,
+        w: block.w / blockW,
+        h: (tileH / blockH) * block.h,
+      })
+    }
+  }
+  return { block, cells }
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v))
+}
@@ -0,0 +1,114 @@
+/**
+ * How neighbouring tiles get along in the grid, from their stored avg/dom palettes.
+ * Distances are OKLab ΔE (see colorUtils.deltaE), blending the average color with the
+ * dominant palettes.
+ *
+ * The harmony score rates how smoothly neighbours flow. A "clash" is a pair whose hues
+ * fight: a large difference in chroma/hue whatever the lightness, so intended light/dark
+ * alternation isn't flagged.
+ */
+
+import { rgbToOklab } from '../colorUtils'
+import { avgColor, paletteColors, paletteWeights } from './palette'
+
+export const CLASH_CHROMA = 35 // chromatic ΔE between neighbours that reads as a clash
+export const HARMONY_EASY = 10 // ΔE up to which neighbours read as one family
+export const HARMONY_BREAK = 50 // ΔE from which neighbours read as a hard break
+
+// Every horizontally / vertically adjacent pair of grid positions: [{ a, b, dir }]
+export function neighbourPairs(length, columns) {
+  const pairs = []
+  for (let i = 0; i < length; i++) {
+    if ((i + 1) % columns && i + 1 < length) pairs.push({ a: i, b: i + 1, dir: 'h' })
+    if (i + columns < length) pairs.push({ a: i, b: i + columns, dir: 'v' })
+  }
+  return pairs
+}
+
+// Overall color difference between two tiles (average and palette ΔE, equally weighted)
+export function tileDeltaE(a, b, k = 3) {
+  const la = tileLab(a, k)
+  const lb = tileLab(b, k)
+  return (labDistance(la.avg, lb.avg) + paletteDistance(la.dom, lb.dom, labDistance)) / 2
+}
+
+// A tile's average color as OKLab lightness, chroma and hue angle (radians)
+export function tileTone(tile) {
+  const [L, a, b] = rgbToOklab(avgColor(tile))
+  return { L, chroma: Math.hypot(a, b), hue: Math.atan2(b, a) }
+}
+
+// How far apart two tiles' hues and saturation are, ignoring lightness (average and
+// palette ΔE, equally weighted)
+export function tileChromaDelta(a, b, k = 3) {
+  const la = tileLab(a, k)
+  const lb = tileLab(b, k)
+  return (chromaDistance(la.avg, lb.avg) + paletteDistance(la.dom, lb.dom, chromaDistance)) / 2
+}
+
+// Every neighbour pair with its ΔE: [{ a, b, dir, deltaE }]
+export function neighbourDeltas(items, columns, k = 3) {
+  return neighbourPairs(items.length, columns).map(pair => ({
+    ...pair,
+    deltaE: tileDeltaE(items[pair.a], items[pair.b], k),
+  }))
+}
+
+// 1 for neighbours within HARMONY_EASY, 0 from HARMONY_BREAK, linear in between
+export function pairHarmony(deltaE) {
+  return Math.min(1, Math.max(0, (HARMONY_BREAK - deltaE) / (HARMONY_BREAK - HARMONY_EASY)))
+}
+
+/**
+ * Feed harmony, 0–100: how smoothly neighbours flow into each other on average
+ * (100 = every pair one family, 0 = every pair a hard break).
+ */
+export function harmonyScore(pairs) {
+  if (!pairs.length) return 100
+  return Math.round((pairs.reduce((s, p) => s + pairHarmony(p.deltaE), 0) / pairs.length) * 100)
+}
+
+/**
+ * Neighbour pairs whose colors clash, each with its chromatic ΔE: [{ a, b, dir, chroma }]
+ */
+export function clashingPairs(items, columns, k = 3, threshold = CLASH_CHROMA) {
+  const out = []
+  for (const pair of neighbourPairs(items.length, columns)) {
+    const chroma = tileChromaDelta(items[pair.a], items[pair.b], k)
+    if (chroma >= threshold) out.push({ ...pair, chroma })
+  }
+  return out
+}
+
+/* ---------------- helpers ---------------- */
+
+// OKLab colors per tile, cached (tiles are immutable) for the palette size asked for
+const labCache = new WeakMap()
+
+function tileLab(tile, k) {
+  const hit = labCache.get(tile)
+  if (hit && hit.k === k) return hit
+  const weights = paletteWeights(tile, k, true)
+  const entry = {
+    k,
+    avg: rgbToOklab(avgColor(tile)),
+    dom: paletteColors(tile, k).map((c, i) => ({ lab: rgbToOklab(c), w: weights[i] })),
+  }
+  labCache.set(tile, entry)
+  return entry
+}
+
+function labDistance(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]) * 100
+}
+
+function chromaDistance(p, q) {
+  return Math.hypot(p[1] - q[1], p[2] - q[2]) * 100
+}
+
+// Coverage-weighted distance from each color to its closest match, both ways
+function paletteDistance(pa, pb, dist) {
+  const oneWay = (from, to) =>
+    from.reduce((s, c) => s + c.w * Math.min(...to.map(d => dist(c.lab, d.lab))), 0)
+  return (oneWay(pa, pb) + oneWay(pb, pa)) / 2
+}
@@ -0,0 +1,31 @@
+/**
+ * Image element helpers.
+ */
+
+export function imageLoaded(img) {
+  return new Promise((res, rej) => {
+    if (img.complete && img.naturalWidth) return res()
+    img.onload = () => res()
+    img.onerror = rej
+  })
+}
+
+// Decoded <img> of a tile's grid image, for analysis or drawing (not for display)
+export async function loadTileImage(tile) {
+  if (!tile?.blob) return decodedImage(tile?.img)
+  const img = new Image()
+  img.src = URL.createObjectURL(tile.blob)
+  try {
+    await imageLoaded(img)
+    return img
+  } finally {
+    URL.revokeObjectURL(img.src) // the decoded pixels stay usable
+  }
+}
+
+// Tiles loaded from older boards carry only { src }: give back a decoded <img> either way
+export async function decodedImage(img) {
+  const el = img instanceof HTMLImageElement ? img : Object.assign(new Image(), { src: img?.src })
+  await imageLoaded(el)
+  return el
+}
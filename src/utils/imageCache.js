@@ -0,0 +1,43 @@
+/**
+ * Shared, reference-counted object URLs for tile image blobs.
+ * Whatever shows a tile acquires its URL while mounted and releases it on unmount.
+ * URLs nobody holds stay around briefly (scrolling back doesn't re-create them) and
+ * are revoked oldest-first beyond IDLE_LIMIT, or all at once via clearImageCache().
+ */
+
+const IDLE_LIMIT = 150
+
+const entries = new Map() // blob -> { url, refs }
+const idle = new Set() // blobs with refs === 0, oldest first
+
+export function acquireImageURL(blob) {
+  let entry = entries.get(blob)
+  if (!entry) {
+    entry = { url: URL.createObjectURL(blob), refs: 0 }
+    entries.set(blob, entry)
+  }
+  entry.refs++
+  idle.delete(blob)
+  return entry.url
+}
+
+export function releaseImageURL(blob) {
+  const entry = entries.get(blob)
+  if (!entry || --entry.refs > 0) return
+  idle.add(blob)
+  for (const old of idle) {
+    if (idle.size <= IDLE_LIMIT) break
+    revoke(old)
+  }
+}
+
+// Revoke every URL no component holds (e.g. after switching boards)
+export function clearImageCache() {
+  for (const blob of [...idle]) revoke(blob)
+}
+
+function revoke(blob) {
+  URL.revokeObjectURL(entries.get(blob).url)
+  entries.delete(blob)
+  idle.delete(blob)
+}
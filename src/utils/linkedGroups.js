@@ -0,0 +1,61 @@
+/**
+ * Linked groups: tiles sliced from one image (panorama / puzzle posts). Each member
+ * carries group: { id, index, rows, columns, gutter } — index is its place in the
+ * slice order, gutter the gap it was cut for as a fraction of tile width — and the
+ * members sit next to each other in the grid and move as one block.
+ */
+
+// [start, end) of the run of tiles around `index` that share its group (just the tile if ungrouped)
+export function blockAt(items, index) {
+  const id = items[index]?.group?.id
+  let start = index
+  let end = index + 1
+  if (!id) return { start, end }
+  while (start > 0 && items[start - 1].group?.id === id) start--
+  while (end < items.length && items[end].group?.id === id) end++
+  return { start, end }
+}
+
+/**
+ * Where dropping `activeId` on `overId` moves things: the active tile's whole group,
+ * landing before or after the target's group so neither is split. Returns
+ * { ids, from, to } (first index before/after the move), or null for no change.
+ */
+export function planMove(items, activeId, overId) {
+  const from = items.findIndex(t => t.id === activeId)
+  const over = items.findIndex(t => t.id === overId)
+  if (from < 0 || over < 0) return null
+  const block = blockAt(items, from)
+  if (over >= block.start && over < block.end) return null
+  const target = blockAt(items, over)
+  const length = block.end - block.start
+  const to = over > from ? target.end - length : target.start
+  if (to === block.start) return null
+  return { ids: items.slice(block.start, block.end).map(t => t.id), from: block.start, to }
+}
+
+// The order once a planned move is made (the grid while it is still being dragged)
+export function applyMove(items, { ids, to }) {
+  const moving = new Set(ids)
+  const next = items.filter(t => !moving.has(t.id))
+  next.splice(to, 0, ...items.filter(t => moving.has(t.id)))
+  return next
+}
+
+/**
+ * Per group id: { total, aligned }. A group lines up when all of its slices are
+ * present in slice order and start a row of the layout they were cut for.
+ */
+export function groupStatus(items, columns) {
+  const status = new Map()
+  items.forEach((t, i) => {
+    if (!t.group || status.has(t.group.id)) return
+    const { rows, columns: cut } = t.group
+    const total = rows * cut
+    const { start, end } = blockAt(items, i)
+    let inOrder = end - start === total
+    for (let j = start; inOrder && j < end; j++) inOrder = items[j].group.index === j - start
+    status.set(t.group.id, { total, aligned: inOrder && cut === columns && start % columns === 0 })
+  })
+  return status
+}
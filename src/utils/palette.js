@@ -0,0 +1,46 @@
+/**
+ * Tile palette helpers shared by the grid overlay, viewer, palette sidebar and export.
+ */
+
+export const FALLBACK_RGB = [128, 128, 128]
+
+// An [r, g, b] triple with every channel in 0–255 (used to validate stored colors)
+export function isRGB(c) {
+  return Array.isArray(c) && c.length === 3 && c.every(v => Number.isFinite(v) && v >= 0 && v <= 255)
+}
+
+// Average color of a tile (gray if missing)
+export function avgColor(tile) {
+  return Array.isArray(tile?.avg) && tile.avg.length === 3 ? tile.avg : FALLBACK_RGB
+}
+
+// Up to k dominant colors of a tile, largest first (falls back to the average)
+export function paletteColors(tile, k) {
+  const dom = Array.isArray(tile?.dom) ? tile.dom.filter(c => Array.isArray(c) && c.length === 3) : []
+  return (dom.length ? dom : [avgColor(tile)]).slice(0, Math.max(1, k))
+}
+
+/**
+ * Relative sizes for the first k palette colors (sum to 1). Equal shares unless
+ * `proportional` is set and the tile has coverage weights from analysis.
+ */
+export function paletteWeights(tile, k, proportional = false) {
+  const n = paletteColors(tile, k).length
+  const w = Array.isArray(tile?.domWeights) ? tile.domWeights.slice(0, n) : []
+  const sum = w.reduce((a, b) => a + (b > 0 ? b : 0), 0)
+  if (!proportional || w.length !== n || sum <= 0) return Array(n).fill(1 / n)
+  return w.map(v => (v > 0 ? v : 0) / sum)
+}
+
+// Hard-edged stripes as a CSS linear-gradient; equal heights unless weights are given
+export function stripeGradient(colors, alpha = 1, direction = 'to bottom', weights = null) {
+  const n = colors.length
+  let at = 0
+  const stops = colors.map(([r, g, b], i) => {
+    const c = `rgba(${r},${g},${b},${alpha})`
+    const from = at
+    at = i === n - 1 ? 1 : at + (weights ? weights[i] : 1 / n)
+    return `${c} ${(from * 100).toFixed(3)}% ${(at * 100).toFixed(3)}%`
+  })
+  return `linear-gradient(${direction}, ${stops.join(', ')})`
+}
@@ -0,0 +1,44 @@
+/**
+ * Where a newly imported tile fits best: every grid cell it can move to among the
+ * planned posts (never splitting a linked group), ranked by how well its palette
+ * blends with the neighbours it would have there (mean ΔE, lowest first).
+ */
+
+import { feedBounds } from './feed'
+import { tileDeltaE } from './harmony'
+
+export const SUGGESTED_SLOTS = 3 // best cells offered as drop targets
+
+/**
+ * [{ to, deltaE }] for tile `id`, best first. `to` is the cell it would take, as in a
+ * 'move' command; the tiles from there on shift along by one. Empty when it can't move.
+ */
+export function rankPlacements(items, id, columns, k = 3) {
+  const tile = items.find(t => t.id === id)
+  if (!tile || tile.pinned || tile.published || tile.group) return []
+  const rest = items.filter(t => t.id !== id)
+  const { pinned, published } = feedBounds(rest)
+  const ranked = []
+  for (let to = pinned; to <= published; to++) {
+    if (to > 0 && rest[to]?.group && rest[to - 1].group?.id === rest[to].group.id) continue
+    const neighbours = neighboursAt(rest, to, columns)
+    if (!neighbours.length) continue
+    const deltaE = neighbours.reduce((s, t) => s + tileDeltaE(tile, t, k), 0) / neighbours.length
+    ranked.push({ to, deltaE })
+  }
+  return ranked.sort((a, b) => a.deltaE - b.deltaE || a.to - b.to)
+}
+
+/* ---------------- helpers ---------------- */
+
+// The tiles beside, above and below cell `to` once a tile is inserted there
+function neighboursAt(rest, to, columns) {
+  const length = rest.length + 1
+  const at = (i) => (i < to ? rest[i] : rest[i - 1])
+  const out = []
+  if (to % columns > 0) out.push(at(to - 1))
+  if (to % columns < columns - 1 && to + 1 < length) out.push(at(to + 1))
+  if (to >= columns) out.push(at(to - columns))
+  if (to + columns < length) out.push(at(to + columns))
+  return out
+}
@@ -0,0 +1,83 @@
+/**
+ * Target tone map: the color a mood plan wants at each grid slot ("top row warm,
+ * middle neutral, bottom cool"). Stored per board as an array indexed by slot, each
+ * entry [r, g, b] or null (no target). Tiles are scored against their slot's target
+ * with the same perceptual ΔE as the rest of the app.
+ */
+
+import { deltaE, rgbToOklab, oklabToRgb } from '../colorUtils'
+import { avgColor, paletteColors, isRGB } from './palette'
+
+export const TONE_TOLERANCE = 20 // ΔE from the target beyond which a tile is off plan
+
+export const TONE_PRESETS = Object.freeze({
+  Warm: [214, 150, 98],
+  Neutral: [184, 178, 168],
+  Cool: [104, 138, 176],
+})
+
+export const GRADIENT_DIRECTIONS = Object.freeze({
+  rows: 'Top → bottom',
+  columns: 'Left → right',
+  diagonal: 'Diagonal',
+})
+
+/**
+ * How far a tile is from a target: the mean of its average color's ΔE and its closest
+ * dominant color's, so a tile carrying the target as a strong accent still counts.
+ */
+export function targetDeltaE(tile, target, k = 3) {
+  const closest = Math.min(...paletteColors(tile, k).map(c => deltaE(c, target)))
+  return (deltaE(avgColor(tile), target) + closest) / 2
+}
+
+// Per slot: { target, deltaE, off } for tiles whose slot has a target, else null
+export function toneMatches(items, toneMap, k = 3) {
+  return items.map((tile, i) => {
+    const target = toneMap[i]
+    if (!target) return null
+    const d = targetDeltaE(tile, target, k)
+    return { target, deltaE: d, off: d > TONE_TOLERANCE }
+  })
+}
+
+// The tone map with `target` (or null to erase) at slot `index`
+export function paintSlot(toneMap, index, target) {
+  const next = toneMap.slice()
+  while (next.length <= index) next.push(null)
+  next[index] = target
+  return trimToneMap(next)
+}
+
+/**
+ * Targets for `count` slots blending `from` into `to` (in OKLab, so the middle doesn't
+ * go muddy) down the rows, across the columns or along the diagonal.
+ */
+export function gradientToneMap(count, columns, from, to, direction = 'rows') {
+  const rows = Math.ceil(count / columns)
+  const a = rgbToOklab(from)
+  const b = rgbToOklab(to)
+  const position = (r, c) => {
+    if (direction === 'columns') return columns > 1 ? c / (columns - 1) : 0
+    if (direction === 'diagonal') return rows + columns > 2 ? (r + c) / (rows + columns - 2) : 0
+    return rows > 1 ? r / (rows - 1) : 0
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const t = position(Math.floor(i / columns), i % columns)
+    return oklabToRgb(a.map((v, j) => v + (b[j] - v) * t))
+  })
+}
+
+// A stored tone map cleaned up: whole RGB triples or null, no trailing empty slots
+export function normalizeToneMap(value) {
+  if (!Array.isArray(value)) return []
+  return trimToneMap(value.map(c => (isRGB(c) ? c.map(Math.round) : null)))
+}
+
+/* ---------------- helpers ---------------- */
+
+function trimToneMap(toneMap) {
+  let end = toneMap.length
+  while (end > 0 && !toneMap[end - 1]) end--
+  return end === toneMap.length ? toneMap : toneMap.slice(0, end)
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal ZIP writer/reader for browser-generated archives. Entries are written
+ * uncompressed: the payloads are already-compressed images, so deflate would gain
+ * next to nothing. Reading also accepts deflated entries where the browser has
+ * DecompressionStream (e.g. an archive re-zipped by another tool).
+ */
+
+const textEncoder = new TextEncoder()
+const CRC_TABLE = makeCrcTable()
+
+/**
+ * Build a ZIP Blob from [{ name, data }] where data is a Blob, ArrayBuffer,
+ * Uint8Array or string. Names are stored as UTF-8.
+ */
+export async function createZip(files, { date = new Date() } = {}) {
+  const parts = []
+  const central = []
+  let offset = 0
+  const { time, day } = dosDateTime(date)
+
+  for (const file of files) {
+    const name = textEncoder.encode(file.name)
+    const data = await toBytes(file.data)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true) // local file header signature
+    local.setUint16(4, 20, true) // version needed (2.0)
+    local.setUint16(6, 0x0800, true) // flags: UTF-8 names
+    local.setUint16(8, 0, true) // method: stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, day, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true) // compressed size
+    local.setUint32(22, data.length, true) // uncompressed size
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true) // extra length
+    parts.push(local, name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true) // central directory header signature
+    entry.setUint16(4, 20, true) // version made by
+    entry.setUint16(6, 20, true) // version needed
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(10, 0, true)
+    entry.setUint16(12, time, true)
+    entry.setUint16(14, day, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    // extra/comment length, disk number, internal/external attributes: all zero
+    entry.setUint32(42, offset, true) // local header offset
+    central.push(entry, name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((n, p) => n + p.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true) // end of central directory signature
+  end.setUint16(8, files.length, true) // entries on this disk
+  end.setUint16(10, files.length, true) // entries total
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true) // central directory offset
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
+
+/**
+ * Read a ZIP into a Map of name → Blob (directories skipped). Throws on anything that
+ * isn't a well-formed archive, including entries whose CRC doesn't match.
+ */
+export async function readZip(blob) {
+  const tailSize = Math.min(blob.size, 22 + 0xffff)
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer())
+  let eocd = -1
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive')
+
+  const count = tail.getUint16(eocd + 10, true)
+  const dirSize = tail.getUint32(eocd + 12, true)
+  const dirOffset = tail.getUint32(eocd + 16, true)
+  if (dirOffset + dirSize > blob.size) throw new Error('ZIP central directory is out of range')
+  const dir = new DataView(await blob.slice(dirOffset, dirOffset + dirSize).arrayBuffer())
+
+  const out = new Map()
+  let p = 0
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > dir.byteLength || dir.getUint32(p, true) !== 0x02014b50) {
+      throw new Error('ZIP central directory is damaged')
+    }
+    const method = dir.getUint16(p + 10, true)
+    const crc = dir.getUint32(p + 16, true)
+    const compressedSize = dir.getUint32(p + 20, true)
+    const nameLength = dir.getUint16(p + 28, true)
+    const extraLength = dir.getUint16(p + 30, true)
+    const commentLength = dir.getUint16(p + 32, true)
+    const localOffset = dir.getUint32(p + 42, true)
+    const name = textDecoder.decode(new Uint8Array(dir.buffer, p + 46, nameLength))
+    p += 46 + nameLength + extraLength + commentLength
+    if (name.endsWith('/')) continue
+
+    const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer())
+    if (local.byteLength < 30 || local.getUint32(0, true) !== 0x04034b50) {
+      throw new Error(`ZIP entry ${name} is damaged`)
+    }
+    const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true)
+    if (start + compressedSize > blob.size) throw new Error(`ZIP entry ${name} is truncated`)
+    const data = await inflate(blob.slice(start, start + compressedSize), method, name)
+    if (crc32(data) !== crc) throw new Error(`ZIP entry ${name} is corrupted`)
+    out.set(name, new Blob([data]))
+  }
+  return out
+}
+
+/* ---------------- helpers ---------------- */
+
+const textDecoder = new TextDecoder()
+
+async function inflate(blob, method, name) {
+  if (method === 0) return new Uint8Array(await blob.arrayBuffer())
+  if (method === 8 && typeof DecompressionStream !== 'undefined') {
+    const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+  }
+  throw new Error(`ZIP entry ${name} uses an unsupported compression method`)
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (typeof data === 'string') return textEncoder.encode(data)
+  return new Uint8Array(await data.arrayBuffer())
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function makeCrcTable() {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+}
+
+// MS-DOS time/date fields (local time, 2-second resolution, years from 1980)
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    day: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  }
+}
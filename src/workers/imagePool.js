@@ -0,0 +1,136 @@
+// Small pool of image workers for decoding, downscaling, JPEG encoding and color analysis.
+// Tasks queue until a worker is free. Without worker/OffscreenCanvas support, or once a
+// worker fails to start, the same tasks run on the main thread instead.
+
+import { runImageTask } from './imageTasks'
+import { analyzeImageRegion, regionBitmap } from '../colorUtils'
+import { IMAGE_THUMB, IMAGE_MASTER } from '../constants'
+
+const POOL_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1))
+
+let slots = null // [{ worker, job }] once started; [] when workers are unavailable
+const queue = [] // jobs waiting for a free worker
+
+class PoolUnavailableError extends Error {}
+
+/**
+ * Decode an image file into a grid thumbnail and a full-resolution master, and analyse
+ * its colors. Resolves to { blob (thumbnail), master, width, height, avg, dom, domWeights }.
+ */
+export async function processImageFile(file, { thumb = IMAGE_THUMB, master = IMAGE_MASTER, k = 3 } = {}) {
+  const task = { type: 'import', file, thumb, master, k }
+  if (startPool().length) {
+    try {
+      return await run(task)
+    } catch (e) {
+      if (!(e instanceof PoolUnavailableError)) throw e
+    }
+  }
+  return runImageTask(task)
+}
+
+/**
+ * Cut an image file into `rects` ({ x, y, w, h } in 0..1) and process each slice like an
+ * imported file. The file is decoded once here; slices go to the workers a few at a time.
+ * Resolves to one result per rect, in order.
+ */
+export async function processImageSlices(file, rects, { thumb = IMAGE_THUMB, master = IMAGE_MASTER, k = 3 } = {}) {
+  const source = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const slice = async (rect) => {
+    if (startPool().length) {
+      const bitmap = await regionBitmap(source, rect)
+      try {
+        return await run({ type: 'slice', bitmap, thumb, master, k }, [bitmap])
+      } catch (e) {
+        if (!(e instanceof PoolUnavailableError)) throw e
+      }
+    }
+    // The transferred bitmap may be gone: cut the slice again
+    return runImageTask({ type: 'slice', bitmap: await regionBitmap(source, rect), thumb, master, k })
+  }
+  try {
+    const out = []
+    for (let i = 0; i < rects.length; i += POOL_SIZE) {
+      out.push(...await Promise.all(rects.slice(i, i + POOL_SIZE).map(slice)))
+    }
+    return out
+  } finally {
+    source.close?.()
+  }
+}
+
+/**
+ * Average + dominant colors of an image, or of a { x, y, w, h } (0..1) region of it.
+ * The region is cut on the main thread and its bitmap transferred to a worker.
+ */
+export async function analyzeImage(source, rect, k = 3) {
+  if (startPool().length) {
+    const bitmap = await regionBitmap(source, rect)
+    try {
+      return await run({ type: 'analyze', bitmap, k }, [bitmap])
+    } catch (e) {
+      if (!(e instanceof PoolUnavailableError)) throw e
+    }
+  }
+  return analyzeImageRegion(source, rect, k)
+}
+
+/* ---------------- helpers ---------------- */
+
+function startPool() {
+  if (slots) return slots
+  slots = []
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return slots
+  try {
+    for (let i = 0; i < POOL_SIZE; i++) slots.push(spawn())
+  } catch (e) {
+    console.warn('Image workers unavailable; processing on the main thread', e)
+    disablePool()
+  }
+  return slots
+}
+
+function spawn() {
+  const worker = new Worker(new URL('./imageWorker.js', import.meta.url), { type: 'module' })
+  const slot = { worker, job: null }
+  worker.onmessage = ({ data }) => {
+    const { job } = slot
+    slot.job = null
+    if (job) {
+      if (data.error) job.reject(new Error(data.error))
+      else job.resolve(data.result)
+    }
+    pump()
+  }
+  // Tasks report their own errors, so this means the worker could not load or crashed
+  worker.onerror = (e) => {
+    e.preventDefault?.()
+    if (!slots.includes(slot)) return // already shut down
+    console.warn('Image worker failed; processing on the main thread', e.message)
+    disablePool()
+  }
+  return slot
+}
+
+function run(task, transfer = []) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, transfer, resolve, reject })
+    pump()
+  })
+}
+
+function pump() {
+  for (const slot of slots) {
+    if (slot.job || !queue.length) continue
+    slot.job = queue.shift()
+    slot.worker.postMessage(slot.job.task, slot.job.transfer)
+  }
+}
+
+// Stop all workers and hand in-flight and queued jobs back to the main thread
+function disablePool() {
+  const jobs = [...slots.map(s => s.job).filter(Boolean), ...queue.splice(0)]
+  for (const s of slots) s.worker.terminate()
+  slots = []
+  for (const job of jobs) job.reject(new PoolUnavailableError())
+}
@@ -0,0 +1,56 @@
+// Image work shared by the worker pool and its main-thread fallback.
+// Everything here sticks to APIs available in workers (createImageBitmap, OffscreenCanvas).
+//
+//   { type: 'import',  file, thumb, master, k }  decode → thumbnail + master JPEGs → colors
+//   { type: 'slice',   bitmap, thumb, master, k } same, for a slice already cut from a larger image
+//   { type: 'analyze', bitmap, k }               colors of an (already cropped) bitmap
+
+import { analyzeBitmap, bitmapToJpegBlob } from '../colorUtils'
+
+export async function runImageTask(task) {
+  switch (task.type) {
+    case 'import':
+      return importImage(task)
+    case 'slice':
+      try {
+        return await encodeImage(task.bitmap, task)
+      } finally {
+        task.bitmap.close?.()
+      }
+    case 'analyze':
+      try {
+        return analyzeBitmap(task.bitmap, task.k)
+      } finally {
+        task.bitmap.close?.()
+      }
+    default:
+      throw new Error(`Unknown image task: ${task.type}`)
+  }
+}
+
+/* ---------------- helpers ---------------- */
+
+// thumb/master are { side, quality }; a JPEG that already fits the master size is its own master
+async function importImage({ file, thumb, master, k }) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  try {
+    const keepOriginal = file.type === 'image/jpeg' && Math.max(bitmap.width, bitmap.height) <= master.side
+    return await encodeImage(bitmap, { thumb, master, k }, keepOriginal ? file : null)
+  } finally {
+    bitmap.close?.()
+  }
+}
+
+async function encodeImage(bitmap, { thumb, master, k }, original = null) {
+  const small = await bitmapToJpegBlob(bitmap, thumb.side, thumb.quality)
+  const large = original
+    ? { blob: original, width: bitmap.width, height: bitmap.height }
+    : await bitmapToJpegBlob(bitmap, master.side, master.quality)
+  return {
+    blob: small.blob,
+    master: large.blob,
+    width: large.width,
+    height: large.height,
+    ...analyzeBitmap(bitmap, k),
+  }
+}
@@ -0,0 +1,11 @@
+// Image worker: runs one task per message and replies { result } or { error }.
+
+import { runImageTask } from './imageTasks'
+
+self.onmessage = async ({ data: task }) => {
+  try {
+    self.postMessage({ result: await runImageTask(task) })
+  } catch (e) {
+    self.postMessage({ error: e?.message || String(e) })
+  }
+}